@@ -0,0 +1,31 @@
+// Time-stamped regions inside a recording: { id, start, end, lowHz, highHz, label, tags }.
+// start/end are seconds from the beginning of the audio; lowHz/highHz are null for the full frequency range.
+
+export function createAnnotation({ start, end, lowHz = null, highHz = null, label = '', tags = [] }) {
+  return {
+    id: `ann-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    start: Math.round(Math.min(start, end) * 1000) / 1000,
+    end: Math.round(Math.max(start, end) * 1000) / 1000,
+    lowHz: lowHz === null ? null : Math.round(Math.min(lowHz, highHz)),
+    highHz: highHz === null ? null : Math.round(Math.max(lowHz, highHz)),
+    label: label.trim() || 'Untitled',
+    tags
+  };
+}
+
+export function sortAnnotations(annotations) {
+  return [...(annotations || [])].sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+export function parseTagList(text) {
+  return [...new Set(text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Audacity label track: "start<TAB>end<TAB>label", with an optional "\<TAB>low<TAB>high" line for spectral selections
+export function toAudacityLabels(annotations) {
+  return sortAnnotations(annotations).map(a => {
+    const text = a.tags?.length ? `${a.label} [${a.tags.join(', ')}]` : a.label;
+    const line = `${a.start.toFixed(6)}\t${a.end.toFixed(6)}\t${text.replace(/[\t\n]/g, ' ')}`;
+    return a.lowHz === null ? line : `${line}\n\\\t${a.lowHz.toFixed(6)}\t${a.highHz.toFixed(6)}`;
+  }).join('\n') + '\n';
+}
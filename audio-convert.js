@@ -1,28 +1,50 @@
-export async function convertBlobToWav(blob) {
-  const arrayBuffer = await blob.arrayBuffer();
-  const ctx = new (window.AudioContext || window.webkitAudioContext)();
-  const audioBuffer = await ctx.decodeAudioData(arrayBuffer);
-  const sampleRate = audioBuffer.sampleRate;
-  const length = audioBuffer.length;
-  const channels = audioBuffer.numberOfChannels;
-  const tmp = new Float32Array(length);
-  for (let c = 0; c < channels; c++) {
-    const ch = audioBuffer.getChannelData(c);
-    for (let i = 0; i < length; i++) tmp[i] += ch[i] / channels;
+// 44-byte RIFF header; dataSize lets long takes be assembled from stored chunks after the fact
+export function createWavHeader(dataSize, sampleRate, numChannels, { float = false } = {}) {
+  const bytesPerSample = float ? 4 : 2;
+  const blockAlign = numChannels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44));
+  const writeString = (v, o) => { for (let i = 0; i < v.length; i++) view.setUint8(o + i, v.charCodeAt(i)); };
+  writeString('RIFF', 0); view.setUint32(4, 36 + dataSize, true); writeString('WAVE', 8);
+  writeString('fmt ', 12); view.setUint32(16, 16, true); view.setUint16(20, float ? 3 : 1, true);
+  view.setUint16(22, numChannels, true); view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); view.setUint16(32, blockAlign, true); view.setUint16(34, bytesPerSample * 8, true);
+  writeString('data', 36); view.setUint32(40, dataSize, true);
+  return view.buffer;
+}
+
+// Interleave planar Float32 channels into raw little-endian float32 bytes (the WAV data chunk)
+export function interleaveFloat32(channels) {
+  const numChannels = channels.length;
+  const length = numChannels ? channels[0].length : 0;
+  if (numChannels === 1) return new Float32Array(channels[0]);
+  const out = new Float32Array(length * numChannels);
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < numChannels; c++) out[i * numChannels + c] = channels[c][i];
   }
-  const buffer = new ArrayBuffer(44 + length * 2);
+  return out;
+}
+
+// Encode planar Float32 channels as a WAV blob (16-bit PCM, or 32-bit float when lossless is wanted)
+export function encodeWav(channels, sampleRate, { float = false } = {}) {
+  const numChannels = channels.length;
+  const length = numChannels ? channels[0].length : 0;
+  const bytesPerSample = float ? 4 : 2;
+  const dataSize = length * numChannels * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  new Uint8Array(buffer).set(new Uint8Array(createWavHeader(dataSize, sampleRate, numChannels, { float })));
   const view = new DataView(buffer);
-  const writeString = (v, o) => { for (let i = 0; i < v.length; i++) view.setUint8(o + i, v.charCodeAt(i)); };
-  writeString('RIFF', 0); view.setUint32(4, 36 + length * 2, true); writeString('WAVE', 8);
-  writeString('fmt ', 12); view.setUint32(16, 16, true); view.setUint16(20, 1, true);
-  view.setUint16(22, 1, true); view.setUint32(24, sampleRate, true);
-  view.setUint32(28, sampleRate * 2, true); view.setUint16(32, 2, true); view.setUint16(34, 16, true);
-  writeString('data', 36); view.setUint32(40, length * 2, true);
   let offset = 44;
   for (let i = 0; i < length; i++) {
-    let s = Math.max(-1, Math.min(1, tmp[i]));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
-    offset += 2;
+    for (let c = 0; c < numChannels; c++) {
+      const sample = channels[c][i];
+      if (float) {
+        view.setFloat32(offset, sample, true);
+      } else {
+        const s = Math.max(-1, Math.min(1, sample));
+        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      }
+      offset += bytesPerSample;
+    }
   }
   return new Blob([view], { type: 'audio/wav' });
-}
\ No newline at end of file
+}
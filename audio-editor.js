@@ -0,0 +1,231 @@
+// Non-destructive editing: a recording keeps its original audioBlob and an edit list (recording.edits)
+// that is rendered on demand. Everything that plays, draws or exports a sound goes through getPlaybackBlob()
+// or getPlaybackBuffer(), so an edit shows up everywhere and "back to original" is just an empty list.
+//
+// Edits, applied in order (times are seconds on the timeline left by the edits before):
+//   { type: 'trim', start, end }          keep only start..end
+//   { type: 'fadeIn', seconds }           { type: 'fadeOut', seconds }
+//   { type: 'normalize', mode: 'peak' | 'loudness', targetDb }
+//   { type: 'gain', db }
+//   { type: 'denoise', profile, strength, source: 'selection' | 'roomTone' }   (see denoise.js)
+import { decodeBlob } from './offline-analyzer.js';
+import { encodeWav } from './audio-convert.js';
+import { spectralGate } from './denoise.js';
+import { runWorkerTask } from './worker-task.js';
+
+export const PEAK_TARGET_DB = -1;
+export const LOUDNESS_TARGET_DB = -20;   // RMS over the whole sound
+const PEAK_CEILING_DB = -1;              // loudness normalisation never pushes peaks above this
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+const gainToDb = (gain) => 20 * Math.log10(gain);
+
+export function describeEdit(edit) {
+  switch (edit.type) {
+    case 'trim': return `Keep ${edit.start.toFixed(1)}–${edit.end.toFixed(1)} s`;
+    case 'fadeIn': return `Fade in over ${edit.seconds.toFixed(1)} s`;
+    case 'fadeOut': return `Fade out over ${edit.seconds.toFixed(1)} s`;
+    case 'normalize': return edit.mode === 'peak' ? `Loudest point to ${edit.targetDb} dB` : `Even loudness (${edit.targetDb} dB)`;
+    case 'gain': return `${edit.db > 0 ? 'Louder' : 'Quieter'} by ${Math.abs(edit.db)} dB`;
+    case 'denoise': return `Less noise (${Math.round(edit.strength * 100)}%, learned from ${edit.source === 'roomTone' ? 'room tone' : 'a quiet part'})`;
+    default: return edit.type;
+  }
+}
+
+function scale(channels, gain) {
+  channels.forEach(data => {
+    for (let i = 0; i < data.length; i++) data[i] *= gain;
+  });
+}
+
+// The noise clean-up is by far the slowest edit, so it runs in a worker (denoise-worker.js) where there is one.
+// The channels are this render's own copies, so they can be handed over rather than cloned.
+function denoiseInWorker(channels, sampleRate, { profile, strength }) {
+  return runWorkerTask('./denoise-worker.js', { channels, sampleRate, profile, strength }, channels.map(c => c.buffer),
+    () => spectralGate(channels, sampleRate, profile, strength));
+}
+
+async function applyEdit(channels, sampleRate, edit) {
+  const length = channels[0].length;
+  switch (edit.type) {
+    case 'trim': {
+      const from = Math.max(0, Math.min(length - 1, Math.round(edit.start * sampleRate)));
+      const to = Math.max(from + 1, Math.min(length, Math.round(edit.end * sampleRate)));
+      return channels.map(data => data.slice(from, to));
+    }
+    case 'fadeIn':
+    case 'fadeOut': {
+      const n = Math.min(length, Math.round(edit.seconds * sampleRate));
+      channels.forEach(data => {
+        for (let i = 0; i < n; i++) {
+          const g = i / n;
+          if (edit.type === 'fadeIn') data[i] *= g;
+          else data[length - 1 - i] *= g;
+        }
+      });
+      return channels;
+    }
+    case 'normalize': {
+      let peak = 0, sumSq = 0;
+      channels.forEach(data => {
+        for (let i = 0; i < length; i++) {
+          const v = Math.abs(data[i]);
+          if (v > peak) peak = v;
+          sumSq += data[i] * data[i];
+        }
+      });
+      if (peak === 0) return channels;
+      let gainDb = edit.mode === 'peak'
+        ? edit.targetDb - gainToDb(peak)
+        : edit.targetDb - 10 * Math.log10(sumSq / (length * channels.length));
+      if (edit.mode !== 'peak') gainDb = Math.min(gainDb, PEAK_CEILING_DB - gainToDb(peak));
+      scale(channels, dbToGain(gainDb));
+      return channels;
+    }
+    case 'gain':
+      scale(channels, dbToGain(edit.db));
+      return channels;
+    case 'denoise':
+      return denoiseInWorker(channels, sampleRate, edit);
+    default:
+      return channels;
+  }
+}
+
+// Apply an edit list to a decoded AudioBuffer; resolves to a new AudioBuffer (the input is left untouched)
+export async function applyEdits(buffer, edits = []) {
+  let channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => Float32Array.from(buffer.getChannelData(c)));
+  for (const edit of edits) channels = await applyEdit(channels, buffer.sampleRate, edit);
+  const out = new AudioBuffer({ length: channels[0].length, numberOfChannels: channels.length, sampleRate: buffer.sampleRate });
+  channels.forEach((data, c) => out.copyToChannel(data, c));
+  return out;
+}
+
+const RENDER_CACHE_SIZE = 6;
+const renderedBuffers = new Map(); // recording id -> { key, source, buffer }, most recently used last
+
+// The sound as it should be heard: the original when unedited, otherwise the rendered edit list.
+// The last few renders are kept, so opening, analysing and exporting an edited sound renders it once.
+export async function getPlaybackBuffer(recording) {
+  if (!recording.edits?.length) return decodeBlob(recording.audioBlob, { sampleRate: recording.sampleRate });
+  const key = JSON.stringify(recording.edits);
+  const cached = renderedBuffers.get(recording.id);
+  renderedBuffers.delete(recording.id);
+  if (cached?.key === key && cached.source === recording.audioBlob) {
+    renderedBuffers.set(recording.id, cached);
+    return cached.buffer;
+  }
+  const buffer = await applyEdits(await decodeBlob(recording.audioBlob, { sampleRate: recording.sampleRate }), recording.edits);
+  renderedBuffers.set(recording.id, { key, source: recording.audioBlob, buffer });
+  if (renderedBuffers.size > RENDER_CACHE_SIZE) renderedBuffers.delete(renderedBuffers.keys().next().value);
+  return buffer;
+}
+
+// recording id -> playback AudioBuffer for each id that is still in recordings (used by the mixer and sequencer).
+// cache keeps decoded sounds between calls until their audio or edits change.
+export async function loadPlaybackBuffers(ids, recordings, cache = new Map()) {
+  const buffers = new Map();
+  for (const id of new Set(ids)) {
+    const recording = recordings.find(r => r.id === id);
+    if (!recording) continue;
+    const key = JSON.stringify(recording.edits || []);
+    let cached = cache.get(id);
+    if (cached?.key !== key || cached.source !== recording.audioBlob) {
+      cached = { key, source: recording.audioBlob, buffer: await getPlaybackBuffer(recording) };
+      cache.set(id, cached);
+    }
+    buffers.set(id, cached.buffer);
+  }
+  return buffers;
+}
+
+// Render rate for a mixdown of several recordings: the highest of their own rates, so none is downsampled
+export function mixdownSampleRate(buffers) {
+  return Math.max(...Array.from(buffers.values(), b => b.sampleRate));
+}
+
+const rendered = new Map(); // recording id -> { key, source, blob }, so repeated plays don't re-render
+
+export async function getPlaybackBlob(recording) {
+  if (!recording.edits?.length) return recording.audioBlob;
+  const key = JSON.stringify(recording.edits);
+  const cached = rendered.get(recording.id);
+  if (cached?.key === key && cached.source === recording.audioBlob) return cached.blob;
+  const buffer = await getPlaybackBuffer(recording);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const blob = encodeWav(channels, buffer.sampleRate, { float: true });
+  rendered.set(recording.id, { key, source: recording.audioBlob, blob });
+  return blob;
+}
+
+// Annotations are stored against the original audio; trims shift the edited timeline
+export function toEditedTime(edits = [], t) {
+  for (const edit of edits) {
+    if (edit.type !== 'trim') continue;
+    t -= edit.start;
+    if (t < 0 || t > edit.end - edit.start) return null;
+  }
+  return t;
+}
+
+export function toOriginalTime(edits = [], t) {
+  for (let i = edits.length - 1; i >= 0; i--) {
+    if (edits[i].type === 'trim') t += edits[i].start;
+  }
+  return t;
+}
+
+// Annotations moved onto the edited timeline; regions trimmed away are dropped, partly trimmed ones are clipped
+export function editedAnnotations(annotations = [], edits = []) {
+  if (!edits.some(e => e.type === 'trim')) return annotations;
+  const lastTrim = edits.filter(e => e.type === 'trim').pop();
+  const length = lastTrim.end - lastTrim.start;
+  const shift = toOriginalTime(edits, 0);
+  return annotations
+    .map(a => ({ ...a, start: Math.max(0, a.start - shift), end: Math.min(length, a.end - shift) }))
+    .filter(a => a.end > a.start);
+}
+
+// Undo/redo over a recording's edit list, kept as snapshots so "back to original" is one undoable step.
+// A reopened sound can still undo its stored edits one by one; redo steps only last while it is open.
+export class EditHistory {
+  constructor(edits = []) {
+    this.edits = [...edits];
+    this.past = edits.map((_, i) => edits.slice(0, i));
+    this.future = [];
+  }
+
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  get canRedo() {
+    return this.future.length > 0;
+  }
+
+  _change(edits) {
+    this.past.push(this.edits);
+    this.edits = edits;
+    this.future = [];
+  }
+
+  push(edit) {
+    this._change([...this.edits, edit]);
+  }
+
+  revert() {
+    if (this.edits.length) this._change([]);
+  }
+
+  undo() {
+    if (!this.canUndo) return;
+    this.future.push(this.edits);
+    this.edits = this.past.pop();
+  }
+
+  redo() {
+    if (!this.canRedo) return;
+    this.past.push(this.edits);
+    this.edits = this.future.pop();
+  }
+}
@@ -1,3 +1,13 @@
+import { encodeWav, createWavHeader, interleaveFloat32 } from './audio-convert.js';
+import { PcmRingBuffer } from './pcm-ring-buffer.js';
+import { DEFAULT_PRESETS, EQ_BANDS, clonePreset } from './signal-presets.js';
+import { LevelMeter, dbToMeter } from './level-meter.js';
+import { FeatureExtractor, summarizeFeatures, describeFeatures } from './feature-extractor.js';
+import { LiveSpectrogram, DEFAULT_SPECTROGRAM_SETTINGS } from './live-spectrogram.js';
+import { createVisualizer, DEFAULT_VISUALIZER_MODE } from './visualizers.js';
+import { detectPitch, hzToNote } from './pitch-tracker.js';
+import { learnNoiseProfile } from './denoise.js';
+
 export class AudioProcessor {
   constructor() {
     this.audioContext = null;
@@ -11,25 +21,102 @@ export class AudioProcessor {
 
     this.fftCanvas = null;
     this.fftCtx = null;
+    this.spectrogram = null;      // ★ scale/colormap/axis/freeze handling (see live-spectrogram.js)
+    this.spectrogramSettings = { ...DEFAULT_SPECTROGRAM_SETTINGS };
+    this.vizMode = DEFAULT_VISUALIZER_MODE;
+    this.visualizer = null;       // ★ alternative view on screen (null = spectrogram, see visualizers.js)
 
-    this.fftSize = 2048;
+    this.fftSize = this.spectrogramSettings.fftSize;
     this.bufferLength = this.fftSize / 2;
-    this.dataArray = null;
+    this.dataArray = null;        // ★ dB per bin for the spectrogram
+    this.timeArray = null;        // ★ waveform for the oscilloscope and radial views
     this.smoothness = 0.5;
 
     this.mediaDest = null;        // ★ for recording processed audio
     this.preamp = null;           // ★ extra gain stage for low-input devices
     this.compressor = null;       // ★ dynamics compressor
     this.limiter = null;         // ★ limiter (second compressor with hard limiting)
+    this.highpass = null;         // ★ optional high-pass filter (per preset)
+    this.eqFilters = [];          // ★ optional EQ bands (per preset)
+    this.output = null;           // ★ end of the processing chain; analysers and recorders tap here
+    this.preset = clonePreset(DEFAULT_PRESETS[0]);
+
+    this.meter = new LevelMeter(); // ★ dBFS / A-weighted metering from time-domain samples
+    this.meterAnalyser = null;
+    this.meterTimeData = null;
+    this.meterFreqData = null;
+    this.lastReading = null;
+    this.levelStatsTimer = null;  // ★ takes the per-take level readings (see _startLevelStats)
+    this.clipHoldUntil = 0;
+
+    this.featureExtractor = null;  // ★ spectral features per 100 ms frame (see feature-extractor.js)
+    this.livePitch = null;         // ★ { hz, clarity } from the latest YIN estimate, null when unpitched
+    this.lastPitchAt = 0;
+    this.recordedFeatures = [];
+    this.featureStart = 0;
     this.peakLevel = 0;           // ★ track peak levels for adaptive gain
     this.peakDecay = 0.95;        // ★ peak decay rate
+
+    this.recorderNode = null;     // ★ AudioWorklet tap streaming raw PCM
+    this.recorderSink = null;     // ★ silent output so the worklet keeps being pulled
+    this.captureMode = null;      // ★ 'worklet' (lossless PCM) or 'mediarecorder' (fallback)
+    this.pcmChunks = [];
+    this.recordedPcm = null;
+    this._pcmFlushResolve = null;
+    this.isStreaming = false;     // ★ worklet is posting frames (while listening or recording)
+    this.isCapturing = false;     // ★ frames go to the take instead of the pre-roll buffer
+
+    this.preRollSeconds = 0;      // ★ seconds kept from before RECORD is pressed
+    this.preRollBuffer = new PcmRingBuffer();
+    this.preRollMs = 0;           // ★ pre-roll actually prepended to the last take
+    this.characteristicHistory = [];
+    this.lastHistorySample = 0;
+
+    this.trigger = null;          // ★ sound-activated recording state (see armTrigger)
+    this.roomToneCapture = null;  // ★ { buffer, resolve } while room tone is being gathered
+
+    this.inputDeviceId = null;    // ★ chosen microphone (null = browser default)
+    this.requestedChannels = 1;   // ★ 1 = mono, 2 = stereo
+    this.recordChannels = 1;      // ★ channels the worklet records (what the device actually delivers)
+    this.inputStream = null;
+    this.channelSplitter = null;
+    this.channelAnalysers = [];   // ★ one per recorded channel for the live per-channel meter
+    this.channelData = null;
+    this.longForm = false;        // ★ hand takes to onChunk ~1 s at a time instead of holding them in memory
+    this.onChunk = null;
+    this.chunkIndex = 0;
+    this.longFormParts = [];
+    this.longFormPending = [];
+    this.longFormPendingFrames = 0;
+    this.longFormFrames = 0;
+  }
+
+  // ★ getUserMedia audio constraints for a chosen device/channel count (processing off for clean capture)
+  static audioConstraints({ deviceId = null, channelCount = 1 } = {}) {
+    const audio = { echoCancellation: false, noiseSuppression: false, autoGainControl: false, channelCount: { ideal: channelCount } };
+    if (deviceId) audio.deviceId = { exact: deviceId };
+    return audio;
+  }
+
+  setInputPreferences({ deviceId = null, channelCount = 1 } = {}) {
+    this.inputDeviceId = deviceId;
+    this.requestedChannels = channelCount === 2 ? 2 : 1;
+  }
+
+  // ★ Record what the device really delivers, capped at what was asked for
+  _channelsFor(stream) {
+    const track = stream.getAudioTracks()[0];
+    const actual = track?.getSettings?.().channelCount;
+    return Math.max(1, Math.min(this.requestedChannels, actual || this.requestedChannels));
   }
 
   async init(stream) {
     try {
       const userStream = stream || await navigator.mediaDevices.getUserMedia({
-        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        audio: AudioProcessor.audioConstraints({ deviceId: this.inputDeviceId, channelCount: this.requestedChannels })
       });
+      this.inputStream = userStream;
+      this.recordChannels = this._channelsFor(userStream);
 
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       this.microphone = this.audioContext.createMediaStreamSource(userStream);
@@ -40,57 +127,68 @@ export class AudioProcessor {
       this.analyser.minDecibels = -120;
       this.analyser.maxDecibels = -10; // ★ Reset to prevent over-compression
       this.bufferLength = this.analyser.frequencyBinCount;
-      this.dataArray = new Uint8Array(this.bufferLength);
+      this.dataArray = new Float32Array(this.bufferLength);
+      this.timeArray = new Float32Array(this.fftSize);
 
       this.gainNode = this.audioContext.createGain();
       this.gainNode.gain.value = 1;
 
-      // ★ Add dynamics compressor to prevent clipping
+      // ★ Dynamics compressor and limiter (second compressor with hard limiting); settings come from the preset
       this.compressor = this.audioContext.createDynamicsCompressor();
-      this.compressor.threshold.setValueAtTime(-24, this.audioContext.currentTime);
-      this.compressor.knee.setValueAtTime(30, this.audioContext.currentTime);
-      this.compressor.ratio.setValueAtTime(12, this.audioContext.currentTime);
-      this.compressor.attack.setValueAtTime(0.003, this.audioContext.currentTime);
-      this.compressor.release.setValueAtTime(0.25, this.audioContext.currentTime);
-
-      // ★ Add limiter (second compressor with hard limiting)
       this.limiter = this.audioContext.createDynamicsCompressor();
-      this.limiter.threshold.setValueAtTime(-3, this.audioContext.currentTime);
-      this.limiter.knee.setValueAtTime(0, this.audioContext.currentTime);
-      this.limiter.ratio.setValueAtTime(20, this.audioContext.currentTime);
-      this.limiter.attack.setValueAtTime(0.001, this.audioContext.currentTime);
-      this.limiter.release.setValueAtTime(0.1, this.audioContext.currentTime);
 
-      // Connect: microphone -> preamp -> compressor -> gain -> limiter -> analyser (+ recorder)
+      this.highpass = this.audioContext.createBiquadFilter();
+      this.highpass.type = 'highpass';
+      this.eqFilters = EQ_BANDS.map(band => {
+        const f = this.audioContext.createBiquadFilter();
+        f.type = band.type;
+        f.frequency.value = band.frequency;
+        if (band.Q) f.Q.value = band.Q;
+        return f;
+      });
+
       this.preamp = this.audioContext.createGain();
       this.preamp.gain.value = 1;
+      this.output = this.audioContext.createGain();
+      this.output.gain.value = 1;
+
+      // Connect: microphone -> preamp -> [high-pass] -> [EQ] -> [compressor] -> gain -> [limiter] -> output
+      //          output -> analyser (+ recorder, channel meters)
       this.microphone.connect(this.preamp);
-      this.preamp.connect(this.compressor);
-      this.compressor.connect(this.gainNode);
-      this.gainNode.connect(this.limiter);
-      this.limiter.connect(this.analyser);
+      this._wireChain();
+      this.output.connect(this.analyser);
+
+      // ★ Separate unsmoothed analyser for the meter so display smoothing never affects readings
+      this.meterAnalyser = this.audioContext.createAnalyser();
+      this.meterAnalyser.fftSize = 2048;
+      this.meterAnalyser.smoothingTimeConstant = 0;
+      this.meterTimeData = new Float32Array(this.meterAnalyser.fftSize);
+      this.meterFreqData = new Float32Array(this.meterAnalyser.frequencyBinCount);
+      this.output.connect(this.meterAnalyser);
+      this.featureExtractor = new FeatureExtractor({ sampleRate: this.audioContext.sampleRate, fftSize: this.meterAnalyser.fftSize });
+
+      this._setupChannelMeters();
 
       // ★ Route to destination so you can hear it (comment this if you don't want live monitoring)
       // this.gainNode.connect(this.audioContext.destination);
 
-      // ★ Tap the processed signal AFTER limiter for MediaRecorder
+      // ★ Tap the processed signal at the end of the chain for MediaRecorder
       this.mediaDest = this.audioContext.createMediaStreamDestination();
-      this.limiter.connect(this.mediaDest);
+      this.output.connect(this.mediaDest);
 
       // Setup canvas
       this.fftCanvas = document.getElementById('fftCanvas');
       this.fftCtx = this.fftCanvas ? this.fftCanvas.getContext('2d') : null;  // ★ guard
+      if (this.fftCanvas) {
+        this.spectrogram = new LiveSpectrogram(this.fftCanvas);
+        this.spectrogram.configure(this.spectrogramSettings);
+        this.spectrogram.setSource(this.audioContext.sampleRate, this.bufferLength);
+      }
 
-      // Setup media recorder (use processed stream, with supported mime fallback)
-      const mimeType = this._pickSupportedMimeType();                          // ★
-      this.mediaRecorder = new MediaRecorder(
-        this.mediaDest.stream, 
-        mimeType ? { mimeType } : undefined
-      );                                                                       // ★
-
-      this.mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0) this.recordedChunks.push(event.data);
-      };
+      // ★ Prefer the worklet recorder; MediaRecorder is only the fallback
+      const workletReady = await this._setupWorkletRecorder();
+      if (!workletReady) this._setupMediaRecorder();
+      this.setPreRoll(this.preRollSeconds);             // ★ size the ring buffer for the real sample rate
 
       // ★ Track peak levels for adaptive gain
       this.peakLevel = 0;
@@ -102,6 +200,259 @@ export class AudioProcessor {
     }
   }
 
+  async _setupWorkletRecorder() {
+    if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') return false;
+    try {
+      await this.audioContext.audioWorklet.addModule('./recorder-worklet.js');
+      this.recorderSink = this.audioContext.createGain();
+      this.recorderSink.gain.value = 0;
+      this.recorderSink.connect(this.audioContext.destination);
+      this._createRecorderNode();
+      this.captureMode = 'worklet';
+      return true;
+    } catch (error) {
+      console.warn('AudioWorklet recorder unavailable, falling back to MediaRecorder:', error);
+      this.recorderNode = null;
+      return false;
+    }
+  }
+
+  // ★ The processor's channel count is fixed at construction, so a new node is made per channel layout
+  _createRecorderNode() {
+    if (this.recorderNode) {
+      this.recorderNode.port.onmessage = null;
+      this.recorderNode.disconnect();
+      try { this.output.disconnect(this.recorderNode); } catch {}
+    }
+    this.recorderNode = new AudioWorkletNode(this.audioContext, 'pcm-recorder', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      channelCount: this.recordChannels,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers',
+      processorOptions: { channelCount: this.recordChannels }
+    });
+    this.recorderNode.port.onmessage = (event) => this._onRecorderMessage(event.data);
+    this.output.connect(this.recorderNode);
+    this.recorderNode.connect(this.recorderSink);
+    if (this.isStreaming) this.recorderNode.port.postMessage({ command: 'start' });
+  }
+
+  _setupChannelMeters() {
+    if (this.channelSplitter) {
+      try { this.output.disconnect(this.channelSplitter); } catch {}
+      this.channelSplitter.disconnect();
+    }
+    this.channelSplitter = this.audioContext.createChannelSplitter(this.recordChannels);
+    this.output.connect(this.channelSplitter);
+    this.channelAnalysers = [];
+    for (let c = 0; c < this.recordChannels; c++) {
+      const a = this.audioContext.createAnalyser();
+      a.fftSize = 1024;
+      this.channelSplitter.connect(a, c);
+      this.channelAnalysers.push(a);
+    }
+    this.channelData = new Float32Array(1024);
+  }
+
+  // ★ Swap microphones (or mono/stereo) without rebuilding the rest of the graph
+  async switchInput({ deviceId = null, channelCount = 1 } = {}) {
+    this.setInputPreferences({ deviceId, channelCount });
+    if (!this.audioContext) return;
+    if (this.isCapturing || this.mediaRecorder?.state === 'recording') {
+      throw new Error('Cannot change microphone while recording');
+    }
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: AudioProcessor.audioConstraints({ deviceId, channelCount: this.requestedChannels })
+    });
+    if (this.microphone) this.microphone.disconnect();
+    if (this.inputStream) this.inputStream.getTracks().forEach(t => t.stop());
+    this.inputStream = stream;
+    this.microphone = this.audioContext.createMediaStreamSource(stream);
+    this.microphone.connect(this.preamp);
+
+    const channels = this._channelsFor(stream);
+    if (channels !== this.recordChannels) {
+      this.recordChannels = channels;
+      this.preRollBuffer.clear();
+      this._setupChannelMeters();
+      if (this.captureMode === 'worklet') this._createRecorderNode();
+    }
+  }
+
+  // ★ Per-channel peak (0..1) for the live meter
+  _drawChannelMeters() {
+    const container = document.getElementById('channelMeters');
+    if (!container) return;
+    if (container.children.length !== this.channelAnalysers.length) {
+      const names = this.channelAnalysers.length === 2 ? ['L', 'R'] : ['M'];
+      container.innerHTML = names.map(n => `<div class="channel-meter"><div class="channel-meter-fill"></div><span>${n}</span></div>`).join('');
+    }
+    this.channelAnalysers.forEach((a, c) => {
+      a.getFloatTimeDomainData(this.channelData);
+      let peak = 0;
+      for (let i = 0; i < this.channelData.length; i++) peak = Math.max(peak, Math.abs(this.channelData[i]));
+      const fill = container.children[c].querySelector('.channel-meter-fill');
+      fill.style.transform = `scaleY(${Math.min(1, peak)})`;
+      fill.classList.toggle('clipping', peak >= 0.99);
+    });
+  }
+
+  _setupMediaRecorder() {
+    // Setup media recorder (use processed stream, with supported mime fallback)
+    const mimeType = this._pickSupportedMimeType();                          // ★
+    this.mediaRecorder = new MediaRecorder(
+      this.mediaDest.stream, 
+      mimeType ? { mimeType } : undefined
+    );                                                                       // ★
+
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        this.recordedChunks.push(event.data);
+        if (this.longForm && this.onChunk) this.onChunk(event.data, this.chunkIndex++);
+      }
+    };
+    this.captureMode = 'mediarecorder';
+  }
+
+  _onRecorderMessage(msg) {
+    if (!msg) return;
+    if (msg.type === 'frames') {
+      if (this.roomToneCapture) this._pushRoomTone(msg.channels);
+      if (!this.isCapturing) this.preRollBuffer.push(msg.channels);
+      else if (this.longForm) this._pushLongForm(msg.channels);
+      else this.pcmChunks.push(msg.channels);
+    } else if ((msg.type === 'flushed' || msg.type === 'stopped') && this._pcmFlushResolve) {
+      const resolve = this._pcmFlushResolve;
+      this._pcmFlushResolve = null;
+      resolve();
+    }
+  }
+
+  _setStreaming(on) {
+    if (this.captureMode !== 'worklet' || this.isStreaming === on) return;
+    this.isStreaming = on;
+    this.recorderNode.port.postMessage({ command: on ? 'start' : 'stop' });
+    if (!on) this.preRollBuffer.clear();
+  }
+
+  // ★ Stop the worklet stream once nothing needs it (listening, a take or room tone)
+  _releaseStreaming() {
+    if (!this.isVisualizing && !this.isCapturing && !this.roomToneCapture) this._setStreaming(false);
+  }
+
+  // ★ Pre-roll only works with the worklet path: MediaRecorder chunks cannot be prepended
+  setPreRoll(seconds) {
+    this.preRollSeconds = Math.max(0, parseFloat(seconds) || 0);
+    const sampleRate = this.audioContext ? this.audioContext.sampleRate : 48000;
+    this.preRollBuffer.setCapacity(this.preRollSeconds * sampleRate);
+    const cutoff = performance.now() - this.preRollSeconds * 1000;
+    this.characteristicHistory = this.characteristicHistory.filter(h => h.time >= cutoff);
+  }
+
+  // ★ Keep ~100 ms characteristic samples for the pre-roll window while listening
+  _samplePreRollCharacteristic() {
+    if (this.isCapturing || this.preRollSeconds === 0) return;
+    const now = performance.now();
+    if (now - this.lastHistorySample < 100) return;
+    this.lastHistorySample = now;
+    const c = this.getSoundCharacteristics();
+    if (c) this.characteristicHistory.push({ time: now, c });
+    const cutoff = now - this.preRollSeconds * 1000;
+    while (this.characteristicHistory.length && this.characteristicHistory[0].time < cutoff) {
+      this.characteristicHistory.shift();
+    }
+  }
+
+  // ★ Long takes: chunks are passed to onChunk (which persists them) and only kept as Blob parts here
+  setLongForm(enabled, onChunk = null) {
+    this.longForm = !!enabled;
+    this.onChunk = onChunk;
+  }
+
+  getTakeFormat() {
+    return {
+      captureMode: this.captureMode,
+      sampleRate: this.audioContext ? this.audioContext.sampleRate : null,
+      channelCount: this.recordChannels,
+      mimeType: this.mediaRecorder ? (this.mediaRecorder.mimeType || this._pickSupportedMimeType() || 'audio/webm') : 'audio/wav'
+    };
+  }
+
+  _pushLongForm(channels) {
+    this.longFormPending.push(channels);
+    this.longFormPendingFrames += channels[0].length;
+    if (this.longFormPendingFrames >= this.audioContext.sampleRate) this._emitLongFormChunk();
+  }
+
+  _emitLongFormChunk() {
+    if (this.longFormPendingFrames === 0) return;
+    const data = interleaveFloat32(this._mergePcmChunks(this.longFormPending));
+    const blob = new Blob([data.buffer], { type: 'application/octet-stream' });
+    this.longFormParts.push(blob);
+    this.longFormFrames += this.longFormPendingFrames;
+    this.longFormPending = [];
+    this.longFormPendingFrames = 0;
+    if (this.onChunk) this.onChunk(blob, this.chunkIndex++);
+  }
+
+  // ★ Join the posted batches into one Float32Array per channel
+  _mergePcmChunks(chunks) {
+    if (!chunks.length) return [new Float32Array(0)];
+    const channelCount = chunks[0].length;
+    const total = chunks.reduce((n, ch) => n + ch[0].length, 0);
+    const merged = [];
+    for (let c = 0; c < channelCount; c++) {
+      const out = new Float32Array(total);
+      let offset = 0;
+      for (const ch of chunks) {
+        out.set(ch[c], offset);
+        offset += ch[c].length;
+      }
+      merged.push(out);
+    }
+    return merged;
+  }
+
+  // ★ Apply a processing preset (see signal-presets.js); safe to call before or after init
+  applyPreset(preset) {
+    this.preset = clonePreset(preset);
+    if (this.audioContext) this._wireChain();
+  }
+
+  getPreset() {
+    return clonePreset(this.preset);
+  }
+
+  _wireChain() {
+    const p = this.preset;
+    const t = this.audioContext.currentTime;
+    const stages = [this.preamp, this.highpass, ...this.eqFilters, this.compressor, this.gainNode, this.limiter];
+    stages.forEach(node => node.disconnect());
+
+    const setDynamics = (node, cfg) => {
+      node.threshold.setValueAtTime(cfg.threshold, t);
+      node.knee.setValueAtTime(cfg.knee, t);
+      node.ratio.setValueAtTime(cfg.ratio, t);
+      node.attack.setValueAtTime(cfg.attack, t);
+      node.release.setValueAtTime(cfg.release, t);
+    };
+    setDynamics(this.compressor, p.compressor);
+    setDynamics(this.limiter, p.limiter);
+    this.highpass.frequency.setValueAtTime(p.highpass.frequency, t);
+    EQ_BANDS.forEach((band, i) => this.eqFilters[i].gain.setValueAtTime(p.eq[band.key] || 0, t));
+
+    // Bypassed stages are simply left out of the path
+    const chain = [this.preamp];
+    if (p.highpass.enabled) chain.push(this.highpass);
+    if (p.eq.enabled) chain.push(...this.eqFilters);
+    if (p.compressor.enabled) chain.push(this.compressor);
+    chain.push(this.gainNode);
+    if (p.limiter.enabled) chain.push(this.limiter);
+    chain.push(this.output);
+    for (let i = 0; i < chain.length - 1; i++) chain[i].connect(chain[i + 1]);
+  }
+
   // ★ Call this from a click/tap before starting anything audio
   async resumeContext() {
     if (this.audioContext && this.audioContext.state !== 'running') {
@@ -131,16 +482,49 @@ export class AudioProcessor {
     this.analyser.smoothingTimeConstant = 0.5 + (value * 0.4);
   }
 
+  // ★ Display-only settings: { scale, colormap, minDb, maxDb, speed, fftSize }
+  configureSpectrogram(settings) {
+    this.spectrogramSettings = { ...this.spectrogramSettings, ...settings };
+    this.fftSize = this.spectrogramSettings.fftSize;
+    if (this.analyser && this.analyser.fftSize !== this.fftSize) {
+      this.analyser.fftSize = this.fftSize;
+      this.bufferLength = this.analyser.frequencyBinCount;
+      this.dataArray = new Float32Array(this.bufferLength);
+      this.timeArray = new Float32Array(this.fftSize);
+    }
+    if (this.spectrogram) {
+      this.spectrogram.configure(this.spectrogramSettings);
+      this.spectrogram.setSource(this.audioContext.sampleRate, this.bufferLength);
+    }
+  }
+
+  // ★ Freeze the picture (pinch/wheel to zoom); metering and recording carry on
+  setSpectrogramFrozen(frozen) {
+    if (this.spectrogram) this.spectrogram.setFrozen(frozen);
+  }
+
+  isSpectrogramFrozen() {
+    return !!this.spectrogram && this.spectrogram.frozen;
+  }
+
+  // ★ 'spectrogram', 'oscilloscope', 'waterfall', 'radial' or 'chromagram'
+  setVisualizerMode(mode) {
+    this.vizMode = mode;
+    this.visualizer = createVisualizer(mode);
+  }
+
   startVisualization() {
     if (this.isVisualizing) return;
     if (!this.fftCanvas || !this.fftCtx) return;  // ★ avoid crashing if canvas not ready
     this.isVisualizing = true;
+    this._setStreaming(true);
     this.resizeCanvases();
     this.visualize();
   }
 
   stopVisualization() {
     this.isVisualizing = false;
+    this._releaseStreaming();
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
       this.animationId = null;
@@ -155,6 +539,7 @@ export class AudioProcessor {
     if (height < 50) height = 200;                 // ★ prevent invisible canvas
     this.fftCanvas.width = width;
     this.fftCanvas.height = height;
+    if (this.spectrogram) this.spectrogram.resize(width, height);
   }
 
   visualize() {
@@ -162,18 +547,17 @@ export class AudioProcessor {
 
     this.animationId = requestAnimationFrame(() => this.visualize());
 
-    this.analyser.getByteFrequencyData(this.dataArray);
-
-    const average = this.dataArray.reduce((a, b) => a + b, 0) / this.dataArray.length;
-    const normalizedLevel = average / 255;
+    const reading = this.measureLevel();
+    const normalizedLevel = dbToMeter(reading.levelDb);
 
-    // ★ Track peak with decay for adaptive gain control
-    const currentPeak = Math.max(...this.dataArray) / 255;
-    this.peakLevel = Math.max(currentPeak, this.peakLevel * this.peakDecay);
+    // ★ Track true sample peak with decay for adaptive gain control
+    this.peakLevel = Math.max(reading.peak, this.peakLevel * this.peakDecay);
 
-    // ★ Detect clipping with lower threshold
-    const maxValue = Math.max(...this.dataArray);
-    const isClipping = maxValue >= 240; // ★ Lower threshold (was 250)
+    // ★ True clipping (samples at full scale); hold the indicator so short clips are visible
+    const now = performance.now();
+    if (reading.clipped) this.clipHoldUntil = now + 1000;
+    const isClipping = now < this.clipHoldUntil;
+    this._updatePitch(now);
 
     const levelBar = document.getElementById('levelBar');
     if (levelBar) {
@@ -198,40 +582,230 @@ export class AudioProcessor {
       }
     }
 
-    this.drawFFTSpectrogram();
+    const readout = document.getElementById('meterReadout');
+    if (readout) {
+      const offset = this.meter.calibrationOffset || 0;
+      readout.textContent = `Peak ${(reading.peakDb + offset).toFixed(1)} • Level ${reading.display.toFixed(1)} ${this.meter.unit}`;
+    }
+
+    this.drawVisualizer();
+    this._drawChannelMeters();
+    this._samplePreRollCharacteristic();
+    this._updateTrigger(normalizedLevel);
   }
 
-  drawFFTSpectrogram() {
-    if (!this.fftCtx || !this.fftCanvas) return;   // ★ guard
-    const ctx = this.fftCtx;
-    const canvas = this.fftCanvas;
-    const width = canvas.width;
-    const height = canvas.height;
+  // ★ Live pitch (YIN on the meter block) about 20 times a second, shown as Hz and nearest note
+  _updatePitch(now) {
+    if (now - this.lastPitchAt < 50) return;
+    this.lastPitchAt = now;
+    this.livePitch = detectPitch(this.meterTimeData, this.audioContext.sampleRate);
+    const readout = document.getElementById('pitchReadout');
+    if (!readout) return;
+    if (this.livePitch) {
+      const note = hzToNote(this.livePitch.hz);
+      const cents = note.cents === 0 ? '' : ` ${note.cents > 0 ? '+' : ''}${note.cents}¢`;
+      readout.textContent = `🎵 ${Math.round(this.livePitch.hz)} Hz • ${note.name}${cents}`;
+    } else {
+      readout.textContent = '🎵 —';
+    }
+  }
 
-    if (width <= 1 || height <= 1) return;         // ★ avoid getImageData errors
+  getLivePitch() {
+    return this.livePitch;
+  }
 
-    const imageData = ctx.getImageData(1, 0, width - 1, height);
-    ctx.putImageData(imageData, 0, 0);
+  // ★ Room tone for the noise cleaner (denoise.js): `seconds` of unbroken frames from the recorder worklet,
+  // i.e. exactly what recordings hear, turned into a noise profile
+  captureRoomTone(seconds = 3) {
+    if (this.captureMode !== 'worklet') return Promise.reject(new Error('Room tone needs the worklet recorder'));
+    if (this.roomToneCapture) return this.roomToneCapture.promise;
+    const capture = { buffer: new PcmRingBuffer(Math.ceil(seconds * this.audioContext.sampleRate)) };
+    capture.promise = new Promise(resolve => { capture.resolve = resolve; });
+    this.roomToneCapture = capture;
+    this._setStreaming(true);
+    return capture.promise;
+  }
 
-    const barHeight = height / this.bufferLength;
-    for (let i = 0; i < this.bufferLength; i++) {
-      const value = this.dataArray[i];
-      const percent = value / 255;
-      const hue = percent * 300;
-      ctx.fillStyle = `hsl(${hue}, 90%, 70%)`;
-      ctx.fillRect(width - 1, height - (i + 1) * barHeight, 1, barHeight + 1);
+  _pushRoomTone(channels) {
+    const capture = this.roomToneCapture;
+    capture.buffer.push(channels);
+    if (capture.buffer.frames < capture.buffer.capacityFrames) return;
+    this.roomToneCapture = null;
+    this._releaseStreaming();
+    // Mixed down to mono, batch after batch
+    const samples = new Float32Array(capture.buffer.capacityFrames);
+    let offset = 0;
+    capture.buffer.drain().forEach(batch => {
+      batch.forEach(data => {
+        for (let i = 0; i < data.length; i++) samples[offset + i] += data[i] / batch.length;
+      });
+      offset += batch[0].length;
+    });
+    capture.resolve(learnNoiseProfile(samples, this.audioContext.sampleRate));
+  }
+
+  // ★ Sound-activated recording: onStart fires when the level crosses threshold,
+  // onStop after holdMs below it or maxMs in total. The trigger re-arms once onStop settles.
+  armTrigger({ threshold, holdMs, maxMs, onStart, onStop }) {
+    this.trigger = { threshold, holdMs, maxMs, onStart, onStop, state: 'armed', startedAt: 0, lastLoudAt: 0 };
+  }
+
+  updateTriggerSettings({ threshold, holdMs, maxMs }) {
+    if (!this.trigger) return;
+    if (threshold !== undefined) this.trigger.threshold = threshold;
+    if (holdMs !== undefined) this.trigger.holdMs = holdMs;
+    if (maxMs !== undefined) this.trigger.maxMs = maxMs;
+  }
+
+  disarmTrigger() {
+    this.trigger = null;
+  }
+
+  _updateTrigger(level) {
+    const t = this.trigger;
+    if (!t) return;
+    const now = performance.now();
+
+    if (t.state === 'armed') {
+      if (level >= t.threshold && t.onStart() !== false) {
+        t.state = 'triggered';
+        t.startedAt = now;
+        t.lastLoudAt = now;
+      }
+      return;
     }
+
+    if (t.state === 'triggered') {
+      if (level >= t.threshold) t.lastLoudAt = now;
+      if (now - t.lastLoudAt >= t.holdMs || now - t.startedAt >= t.maxMs) {
+        t.state = 'busy';
+        Promise.resolve(t.onStop()).finally(() => {
+          if (this.trigger === t) t.state = 'armed';
+        });
+      }
+    }
+  }
+
+  isTriggered() {
+    return !!this.trigger && this.trigger.state !== 'armed';
+  }
+
+  // ★ One meter reading from the latest time-domain block, for the live display
+  measureLevel() {
+    this.lastReading = this._readMeter();
+    return this.lastReading;
+  }
+
+  _readMeter() {
+    if (!this.meterAnalyser) return { peakDb: -120, rmsDb: -120, levelDb: -120, display: -120, clipped: false, peak: 0 };
+    this.meterAnalyser.getFloatTimeDomainData(this.meterTimeData);
+    if (this.meter.weighting === 'A') this.meterAnalyser.getFloatFrequencyData(this.meterFreqData);
+    return this.meter.measure(this.meterTimeData, this.meter.weighting === 'A' ? this.meterFreqData : null, this.audioContext.sampleRate);
+  }
+
+  // ★ Per-take statistics get a reading every analyser block from their own timer, so they don't
+  // depend on the display running (or on its frame rate)
+  _startLevelStats() {
+    this._stopLevelStats();
+    this.meter.startStats();
+    if (!this.meterAnalyser) return;
+    const blockMs = this.meterAnalyser.fftSize / this.audioContext.sampleRate * 1000;
+    this.levelStatsTimer = setInterval(() => this.meter.accumulate(this._readMeter()), blockMs);
+  }
+
+  _stopLevelStats() {
+    clearInterval(this.levelStatsTimer);
+    this.levelStatsTimer = null;
+  }
+
+  configureMeter(settings) {
+    this.meter.configure(settings);
+  }
+
+  // ★ Leq/Lmax/L90 etc. for the take that just stopped
+  getLevelStats() {
+    return this.meter.getStats();
+  }
+
+  // ★ The spectrogram history is updated whatever the mode (it is the thumbnail fallback);
+  // the visible canvas shows the selected view
+  drawVisualizer() {
+    if (!this.spectrogram || !this.fftCanvas) return;   // ★ guard
+    const { width, height } = this.fftCanvas;
+    if (width <= 1 || height <= 1) return;
+    this.analyser.getFloatFrequencyData(this.dataArray);
+    this.spectrogram.push(this.dataArray, this.livePitch ? this.livePitch.hz : null);
+    if (!this.visualizer) {
+      this.spectrogram.render();
+      return;
+    }
+    if (this.spectrogram.frozen) return;             // ★ freeze keeps the last picture in every view
+    this.analyser.getFloatTimeDomainData(this.timeArray);
+    this.visualizer.draw(this.fftCtx, width, height, {
+      freqDb: this.dataArray,
+      timeData: this.timeArray,
+      sampleRate: this.audioContext.sampleRate,
+      settings: this.spectrogramSettings
+    });
   }
 
   async startRecording() {
     this.recordedChunks = [];
+    this.pcmChunks = [];
+    this.recordedPcm = null;
+    this.preRollMs = 0;
+    this.chunkIndex = 0;
+    this.longFormParts = [];
+    this.longFormPending = [];
+    this.longFormPendingFrames = 0;
+    this.longFormFrames = 0;
     await this.resumeContext();                     // ★ ensure running
+    this._startLevelStats();
+    if (this.captureMode === 'worklet') {
+      // ★ Seed the take with the buffered pre-roll, then keep the stream going into it
+      const preRoll = this.preRollBuffer.drain();
+      const preRollFrames = preRoll.reduce((n, ch) => n + ch[0].length, 0);
+      this.preRollMs = Math.round(preRollFrames / this.audioContext.sampleRate * 1000);
+      if (this.longForm) preRoll.forEach(ch => this._pushLongForm(ch));
+      else this.pcmChunks = preRoll;
+      this.isCapturing = true;
+      this._setStreaming(true);
+      return;
+    }
     if (this.mediaRecorder.state !== 'recording') {
-      this.mediaRecorder.start();
+      // ★ Timeslice so long takes deliver chunks while recording
+      if (this.longForm) this.mediaRecorder.start(1000);
+      else this.mediaRecorder.start();
     }
   }
 
   async stopRecording() {
+    this._stopLevelStats();
+    if (this.captureMode === 'worklet') {
+      // ★ Wait for the worklet to flush its last partial batch
+      await new Promise((resolve) => {
+        this._pcmFlushResolve = resolve;
+        this.recorderNode.port.postMessage({ command: 'flush' });
+      });
+      this.isCapturing = false;
+      this._releaseStreaming();
+
+      if (this.longForm) {
+        // ★ Assemble the WAV from the Blob parts; the browser can keep them off the JS heap
+        this._emitLongFormChunk();
+        const dataSize = this.longFormFrames * this.recordChannels * 4;
+        const header = createWavHeader(dataSize, this.audioContext.sampleRate, this.recordChannels, { float: true });
+        const blob = new Blob([header, ...this.longFormParts], { type: 'audio/wav' });
+        this.longFormParts = [];
+        return blob;
+      }
+
+      const channels = this._mergePcmChunks(this.pcmChunks);
+      this.pcmChunks = [];
+      this.recordedPcm = { sampleRate: this.audioContext.sampleRate, channels };
+      return encodeWav(channels, this.audioContext.sampleRate, { float: true });
+    }
+
     return new Promise((resolve) => {
       this.mediaRecorder.onstop = () => {
         const type = this.mediaRecorder.mimeType || this._pickSupportedMimeType() || 'audio/webm';
@@ -247,6 +821,15 @@ export class AudioProcessor {
     });
   }
 
+  getPreRollMs() {
+    return this.preRollMs;
+  }
+
+  // ★ Raw Float32 channels of the last worklet take (null for MediaRecorder takes)
+  getRecordedPcm() {
+    return this.recordedPcm;
+  }
+
   // ★ Pick a MIME the browser actually supports (helps Safari/Firefox)
   _pickSupportedMimeType() {
     const candidates = [
@@ -263,44 +846,47 @@ export class AudioProcessor {
     return '';
   }
 
+  // ★ Always a spectrogram (without axis or zoom), whichever view is on screen
   getCanvasThumbnail() {
+    if (this.spectrogram) return this.spectrogram.getHistoryCanvas().toDataURL('image/png');
     return this.fftCanvas ? this.fftCanvas.toDataURL('image/png') : null;
   }
 
-  getSuggestedTags() {
-    if (!this.dataArray) return [];
-    const lowBand = this.dataArray.slice(0, 50).reduce((a, b) => a + b, 0) / 50;
-    const midBand = this.dataArray.slice(50, 200).reduce((a, b) => a + b, 0) / 150;
-    const highBand = this.dataArray.slice(200, 512).reduce((a, b) => a + b, 0) / 312;
-    const max = Math.max(lowBand, midBand, highBand);
+  // ★ Pass recorded feature frames to describe a whole take instead of the current frame
+  getSuggestedTags(frames = null) {
+    const summary = summarizeFeatures(frames && frames.length ? frames : [this.getSoundCharacteristics()].filter(Boolean));
     const tags = [];
-    if (lowBand === max) tags.push('low', 'rumble'); else if (midBand === max) tags.push('buzzing'); else tags.push('high', 'chirp');
-    const average = (lowBand + midBand + highBand) / 3;
-    if (average < 50) tags.push('quiet'); else if (average > 150) tags.push('loud');
+    describeFeatures(summary).forEach(d => {
+      if (d === 'low') tags.push('low', 'rumble');
+      else if (d === 'high') tags.push('high', 'chirp');
+      else if (d === 'steady') tags.push('continuous');
+      else if (d === 'quiet' || d === 'loud' || d === 'noisy') tags.push(d);
+    });
     return tags;
   }
 
+  // ★ One feature frame (centroid, rolloff, flatness, flux, ZCR, RMS, Hz bands) from the unsmoothed analyser
   getSoundCharacteristics() {
-    if (!this.dataArray) return null;
-    const lowBand = this.dataArray.slice(0, 50);
-    const midBand = this.dataArray.slice(50, 200);
-    const highBand = this.dataArray.slice(200, 512);
-    const lowAvg = lowBand.reduce((a, b) => a + b, 0) / lowBand.length;
-    const midAvg = midBand.reduce((a, b) => a + b, 0) / midBand.length;
-    const highAvg = highBand.reduce((a, b) => a + b, 0) / highBand.length;
-    const overall = this.dataArray.reduce((a, b) => a + b, 0) / this.dataArray.length;
-    const maxBand = Math.max(lowAvg, midAvg, highAvg);
-    let dominantRange = 'mid';
-    if (lowAvg === maxBand) dominantRange = 'low';
-    if (highAvg === maxBand) dominantRange = 'high';
-    return { overall, lowAvg, midAvg, highAvg, dominantRange };
-  }
-
-  recordCharacteristics = [];
-  startCharacteristicRecording() { this.recordCharacteristics = []; }
+    if (!this.meterAnalyser || !this.featureExtractor) return null;
+    this.meterAnalyser.getFloatFrequencyData(this.meterFreqData);
+    this.meterAnalyser.getFloatTimeDomainData(this.meterTimeData);
+    return this.featureExtractor.compute(this.meterFreqData, this.meterTimeData);
+  }
+
+  startCharacteristicRecording() {
+    // ★ Include the pre-roll portion so missions see the whole saved sound; t is ms from the start of the audio
+    const now = performance.now();
+    this.featureStart = now - this.preRollMs;
+    this.recordedFeatures = this.preRollMs > 0
+      ? this.characteristicHistory
+          .filter(h => h.time >= this.featureStart)
+          .map(h => ({ t: Math.round(h.time - this.featureStart), ...h.c }))
+      : [];
+    this.characteristicHistory = [];
+  }
   captureCharacteristic() {
     const c = this.getSoundCharacteristics();
-    if (c) this.recordCharacteristics.push(c);
+    if (c) this.recordedFeatures.push({ t: Math.round(performance.now() - this.featureStart), ...c });
   }
-  getRecordedCharacteristics() { return this.recordCharacteristics; }
-}
\ No newline at end of file
+  getRecordedFeatures() { return this.recordedFeatures; }
+}
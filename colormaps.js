@@ -0,0 +1,40 @@
+// Perceptual colormaps for spectrogram images, as 256-entry RGB lookup tables.
+
+// Anchor colours sampled evenly from matplotlib's viridis and magma; the table interpolates between them
+const STOPS = {
+  viridis: [
+    [68, 1, 84], [72, 35, 116], [64, 67, 135], [52, 94, 141], [41, 120, 142], [32, 144, 140],
+    [34, 167, 132], [68, 190, 112], [121, 209, 81], [189, 222, 38], [253, 231, 37]
+  ],
+  magma: [
+    [0, 0, 4], [20, 14, 54], [59, 15, 112], [100, 26, 128], [140, 41, 129], [183, 55, 121],
+    [222, 73, 104], [247, 112, 92], [254, 159, 109], [254, 207, 146], [252, 253, 191]
+  ],
+  grayscale: [[0, 0, 0], [255, 255, 255]]
+};
+
+export const COLORMAPS = [
+  { id: 'viridis', label: 'Viridis' },
+  { id: 'magma', label: 'Magma' },
+  { id: 'grayscale', label: 'Grayscale' }
+];
+
+export const DEFAULT_COLORMAP = 'viridis';
+
+const tables = new Map();
+
+// Uint8ClampedArray of 256 * [r, g, b]
+export function colormapTable(name = DEFAULT_COLORMAP) {
+  const key = STOPS[name] ? name : DEFAULT_COLORMAP;
+  if (!tables.has(key)) {
+    const stops = STOPS[key];
+    const table = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+      const pos = i / 255 * (stops.length - 1);
+      const lo = Math.floor(pos), hi = Math.min(stops.length - 1, lo + 1), f = pos - lo;
+      for (let c = 0; c < 3; c++) table[i * 3 + c] = stops[lo][c] + (stops[hi][c] - stops[lo][c]) * f;
+    }
+    tables.set(key, table);
+  }
+  return tables.get(key);
+}
@@ -0,0 +1,13 @@
+// Runs the noise clean-up (denoise.js) off the main thread, so a long sound doesn't freeze the page
+// while it renders (see worker-task.js). The sample buffers are transferred both ways.
+import { spectralGate } from './denoise.js';
+
+self.onmessage = (event) => {
+  const { id, channels, sampleRate, profile, strength } = event.data;
+  try {
+    const result = spectralGate(channels, sampleRate, profile, strength);
+    self.postMessage({ id, result }, result.map(c => c.buffer));
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,106 @@
+// Noise-profile spectral gating. A profile is the mean and spread of each frequency bin's magnitude
+// over a stretch of "just noise" (a quiet part of the recording, or room tone captured on the Listen tab);
+// bins that don't rise clearly above it are turned down, with smoothing so the result doesn't warble.
+import { fft, hannWindow, forEachStftFrame } from './fft.js';
+
+export const DENOISE_FFT_SIZE = 2048;
+const HOP = DENOISE_FFT_SIZE / 4;
+const MAX_REDUCTION_DB = 36;     // at full strength, noise-only bins drop this much
+const ATTACK = 0.5;              // how quickly a bin opens when sound rises above the noise (per hop)
+const RELEASE = 0.25;            // ...and how gently it closes again
+
+// samples: mono Float32Array of noise only.
+// Returns { sampleRate, fftSize, frames, mean, std } (plain arrays, so it can be stored) or null if too short.
+export function learnNoiseProfile(samples, sampleRate) {
+  const bins = DENOISE_FFT_SIZE / 2;
+  const mean = new Float64Array(bins);
+  const m2 = new Float64Array(bins);
+  const frames = forEachStftFrame(samples, { fftSize: DENOISE_FFT_SIZE, hop: DENOISE_FFT_SIZE / 2 }, (mags, index) => {
+    const n = index + 1;
+    for (let k = 0; k < bins; k++) {
+      const delta = mags[k] - mean[k];
+      mean[k] += delta / n;
+      m2[k] += delta * (mags[k] - mean[k]);
+    }
+  });
+  if (!frames) return null;
+  return {
+    sampleRate,
+    fftSize: DENOISE_FFT_SIZE,
+    frames,
+    mean: Array.from(mean),
+    std: Array.from(m2, v => Math.sqrt(v / frames))
+  };
+}
+
+// Per-bin gate thresholds for a signal at sampleRate (profiles can come from a different rate, e.g. room tone)
+function thresholds(profile, sampleRate, strength) {
+  const bins = DENOISE_FFT_SIZE / 2;
+  const out = new Float32Array(bins);
+  const stds = 2 + strength;    // stronger settings also gate sounds a little above the noise
+  for (let k = 0; k < bins; k++) {
+    const p = Math.min(profile.mean.length - 1, k * sampleRate / profile.sampleRate);
+    const i = Math.floor(p), f = p - i, j = Math.min(profile.mean.length - 1, i + 1);
+    const mean = profile.mean[i] * (1 - f) + profile.mean[j] * f;
+    const std = profile.std[i] * (1 - f) + profile.std[j] * f;
+    out[k] = mean + stds * std;
+  }
+  return out;
+}
+
+// channels: Float32Arrays (left untouched). strength 0..1. Returns new Float32Arrays of the same length.
+export function spectralGate(channels, sampleRate, profile, strength = 0.5) {
+  const n = DENOISE_FFT_SIZE;
+  const bins = n / 2;
+  const window = hannWindow(n);
+  const floor = Math.pow(10, -strength * MAX_REDUCTION_DB / 20);
+  const threshold = thresholds(profile, sampleRate, strength);
+  const re = new Float32Array(n);
+  const im = new Float32Array(n);
+  const target = new Float32Array(bins + 1);
+  const gains = new Float32Array(bins + 1);
+
+  return channels.map(input => {
+    // Pad by one window on both sides so the first and last samples get full overlap-add coverage
+    const length = input.length;
+    const padded = new Float32Array(length + 2 * n);
+    padded.set(input, n);
+    const output = new Float32Array(padded.length);
+    const norm = new Float32Array(padded.length);
+    gains.fill(1);
+
+    for (let start = 0; start + n <= padded.length; start += HOP) {
+      for (let i = 0; i < n; i++) {
+        re[i] = padded[start + i] * window[i];
+        im[i] = 0;
+      }
+      fft(re, im);
+      for (let k = 0; k <= bins; k++) {
+        const mag = Math.hypot(re[k], im[k]);
+        target[k] = mag > threshold[Math.min(k, bins - 1)] ? 1 : floor;
+      }
+      for (let k = 0; k <= bins; k++) {
+        // Smooth across neighbouring bins, then over time (fast open, slow close)
+        const t = (target[Math.max(0, k - 1)] + 2 * target[k] + target[Math.min(bins, k + 1)]) / 4;
+        gains[k] += (t - gains[k]) * (t > gains[k] ? ATTACK : RELEASE);
+        re[k] *= gains[k];
+        im[k] *= gains[k];
+        if (k > 0 && k < bins) {
+          re[n - k] *= gains[k];
+          im[n - k] *= gains[k];
+        }
+      }
+      fft(re, im, true);
+      for (let i = 0; i < n; i++) {
+        output[start + i] += re[i] / n * window[i];
+        norm[start + i] += window[i] * window[i];
+      }
+    }
+    const result = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const w = norm[i + n];
+      result[i] = w > 1e-6 ? output[i + n] / w : 0;
+    }
+    return result;
+  });
+}
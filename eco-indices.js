@@ -0,0 +1,106 @@
+// Soundscape-ecology indices of a decoded recording, computed from its own magnitude spectrogram
+// (1024-point Hann frames, no overlap) so sites can be compared with published measures.
+import { mixToMono, forEachStftFrame } from './fft.js';
+
+export const ECO_INDICES = [
+  { key: 'aci', label: 'Acoustic Complexity (ACI)', short: 'ACI', description: 'How much loudness changes within each pitch band (Pieretti et al. 2011), per 5 s block. Birdsong and insects raise it; steady noise keeps it low.' },
+  { key: 'ndsi', label: 'Soundscape Difference (NDSI)', short: 'NDSI', description: 'Nature (2–11 kHz) versus human-made (1–2 kHz) sound, from -1 to 1 (Kasten et al. 2012).' },
+  { key: 'bi', label: 'Bioacoustic Index (BI)', short: 'BI', description: 'Area of the average spectrum above its quietest point between 2 and 8 kHz (Boelman et al. 2007).' },
+  { key: 'hf', label: 'Spectral Entropy (Hf)', short: 'Hf', description: 'How evenly sound is spread across pitches, 0 (one pitch) to 1 (all pitches) (Sueur et al. 2008).' },
+  { key: 'ht', label: 'Temporal Entropy (Ht)', short: 'Ht', description: 'How evenly sound is spread over time, 0 (one burst) to 1 (constant) (Sueur et al. 2008).' }
+];
+
+const FFT_SIZE = 1024;
+const ACI_BLOCK_SECONDS = 5;
+const ANTHROPHONY = [1000, 2000];
+const BIOPHONY = [2000, 11000];
+const BI_RANGE = [2000, 8000];
+
+const round = (v, places) => v === null ? null : Math.round(v * 10 ** places) / 10 ** places;
+
+// Normalised Shannon entropy of non-negative values (0..1), null when they are all zero
+function entropy(values) {
+  const total = values.reduce((a, b) => a + b, 0);
+  if (!(total > 0) || values.length < 2) return null;
+  let h = 0;
+  for (const v of values) if (v > 0) h -= (v / total) * Math.log(v / total);
+  return h / Math.log(values.length);
+}
+
+// buffer: AudioBuffer. Returns { aci, ndsi, bi, hf, ht } (null where a recording is too short or silent)
+export function computeEcoIndices(buffer) {
+  const samples = mixToMono(buffer);
+  const bins = FFT_SIZE / 2;
+  const binHz = buffer.sampleRate / FFT_SIZE;
+  const framesPerBlock = Math.max(2, Math.round(ACI_BLOCK_SECONDS * buffer.sampleRate / FFT_SIZE));
+
+  const meanAmp = new Float64Array(bins);
+  const power = new Float64Array(bins);
+  const envelope = [];
+  const prev = new Float32Array(bins);
+  const blockDiff = new Float64Array(bins);
+  const blockAmp = new Float64Array(bins);
+  const blockAci = [];
+  let blockFrames = 0;
+
+  const closeBlock = () => {
+    if (blockFrames >= 2) {
+      let aci = 0;
+      for (let k = 0; k < bins; k++) if (blockAmp[k] > 0) aci += blockDiff[k] / blockAmp[k];
+      blockAci.push(aci);
+    }
+    blockDiff.fill(0);
+    blockAmp.fill(0);
+    blockFrames = 0;
+  };
+
+  const frameCount = forEachStftFrame(samples, { fftSize: FFT_SIZE }, (mags, index) => {
+    let frameEnergy = 0;
+    for (let k = 0; k < bins; k++) {
+      meanAmp[k] += mags[k];
+      power[k] += mags[k] * mags[k];
+      frameEnergy += mags[k] * mags[k];
+      // ACI differences stay inside a block (the first frame of a block has no neighbour)
+      if (blockFrames > 0) blockDiff[k] += Math.abs(mags[k] - prev[k]);
+      blockAmp[k] += mags[k];
+    }
+    envelope.push(Math.sqrt(frameEnergy));
+    prev.set(mags);
+    if (++blockFrames === framesPerBlock) closeBlock();
+  });
+  closeBlock();
+  if (!frameCount) return { aci: null, ndsi: null, bi: null, hf: null, ht: null };
+  for (let k = 0; k < bins; k++) meanAmp[k] /= frameCount;
+
+  const bandSum = (values, [lo, hi]) => {
+    let sum = 0;
+    for (let k = Math.ceil(lo / binHz); k < Math.min(bins, hi / binHz); k++) sum += values[k];
+    return sum;
+  };
+  const anthro = bandSum(power, ANTHROPHONY);
+  const bio = bandSum(power, BIOPHONY);
+
+  // BI: mean spectrum in dB (relative to its loudest bin), area above the minimum inside 2–8 kHz
+  let bi = null;
+  const maxAmp = Math.max(...meanAmp);
+  const biLo = Math.ceil(BI_RANGE[0] / binHz), biHi = Math.min(bins, Math.floor(BI_RANGE[1] / binHz));
+  if (maxAmp > 0 && biHi > biLo) {
+    const db = [];
+    for (let k = biLo; k < biHi; k++) db.push(20 * Math.log10(Math.max(meanAmp[k], maxAmp * 1e-6) / maxAmp));
+    const floor = Math.min(...db);
+    bi = db.reduce((area, v) => area + (v - floor) * binHz / 1000, 0);
+  }
+
+  return {
+    aci: blockAci.length ? round(blockAci.reduce((a, b) => a + b, 0) / blockAci.length, 1) : null,
+    ndsi: anthro + bio > 0 ? round((bio - anthro) / (bio + anthro), 3) : null,
+    bi: round(bi, 2),
+    hf: round(entropy(Array.from(meanAmp)), 3),
+    ht: round(entropy(envelope), 3)
+  };
+}
+
+export function formatEcoIndex(key, value) {
+  if (value === null || value === undefined) return '–';
+  return key === 'aci' || key === 'bi' ? value.toFixed(1) : value.toFixed(2);
+}
@@ -1,7 +1,12 @@
-import { convertBlobToWav } from './audio-convert.js';
+import { encodeWav } from './audio-convert.js';
+import { toAudacityLabels, sortAnnotations } from './annotations.js';
+import { ECO_INDICES } from './eco-indices.js';
+import { getPlaybackBuffer, editedAnnotations } from './audio-editor.js';
+import { renderMixWav } from './mixer.js';
+import { renderPatternWav } from './sequencer.js';
 
 export class Exporter {
-  async createZip({ recordings, mapPositions, mapBackgroundUrl }) {
+  async createZip({ recordings, projects = [], mapPositions, mapBackgroundUrl }) {
     const zip = new JSZip();
     const soundsFolder = zip.folder('sounds');
     const thumbsFolder = zip.folder('thumbnails');
@@ -15,11 +20,25 @@ export class Exporter {
     for (const rec of recordings) {
       const label = rec.label || 'Untitled_Sound';
       const name = `${new Date(rec.timestamp).toISOString().slice(0,10)}_${sanitize(label)}_${rec.id}`;
-      const audioBlob = await convertBlobToWav(rec.audioBlob);
-      const thumbBlob = await toBlob(rec.thumbnail);
-
+      // Encoded straight from the decoded (and edited) audio at its own rate: no second decode or resample
+      const buffer = await getPlaybackBuffer(rec);
+      const audioBlob = encodeWav(Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c)), buffer.sampleRate);
       soundsFolder.file(`${name}.wav`, audioBlob);
-      thumbsFolder.file(`${name}.png`, thumbBlob);
+
+      // recovered long takes may not have a thumbnail yet
+      let thumbPath = null;
+      if (rec.thumbnail) {
+        thumbPath = `thumbnails/${name}.png`;
+        thumbsFolder.file(`${name}.png`, await toBlob(rec.thumbnail));
+      }
+
+      // time-stamped regions as an Audacity label track next to the WAV (moved onto the edited timeline)
+      const annotations = editedAnnotations(rec.annotations || [], rec.edits || []);
+      let labelsPath = null;
+      if (annotations.length) {
+        labelsPath = `sounds/${name}_labels.txt`;
+        soundsFolder.file(`${name}_labels.txt`, toAudacityLabels(annotations));
+      }
 
       let photoPath = null;
       if (rec.photoDataUrl) {
@@ -35,23 +54,44 @@ export class Exporter {
         timestamp: rec.timestamp,
         durationMs: rec.duration,
         audio: `sounds/${name}.wav`,
-        thumbnail: `thumbnails/${name}.png`,
+        thumbnail: thumbPath,
         photo: photoPath,
+        annotations: sortAnnotations(annotations),
+        edits: rec.edits || [],
+        derivedFrom: rec.derivedFrom || null,
+        annotationLabels: labelsPath,
+        ecoIndices: rec.ecoIndices || null,
         map: mapPositions[rec.id] || null
       });
       // per-sound note with tags
-      const note = `Label: ${rec.label}\nDate: ${new Date(rec.timestamp).toLocaleString()}\nDuration: ${Math.round(rec.duration/1000)}s\nTags: ${(rec.tags||[]).join(', ') || 'None'}\nFile: ${name}.wav\n`;
+      const note = `Label: ${rec.label}\nDate: ${new Date(rec.timestamp).toLocaleString()}\nDuration: ${Math.floor(rec.duration/60000)}m ${Math.round(rec.duration/1000)%60}s\nTags: ${(rec.tags||[]).join(', ') || 'None'}\nFile: ${name}.wav\n${labelsPath ? `Notes: ${name}_labels.txt (${annotations.length} regions, opens as an Audacity label track)\n` : ''}`;
       soundsFolder.file(`${name}.txt`, note);
     }
 
+    // mixes and beats: the rendered WAV plus the project itself, so it can be rebuilt from the sounds
+    const mixes = [];
+    const patterns = [];
+    const decoded = new Map(); // recordings shared between projects are decoded once
+    for (const project of projects) {
+      const [render, folder, list] = project.type === 'mix'
+        ? [renderMixWav, 'mixes', mixes]
+        : project.type === 'pattern' ? [renderPatternWav, 'beats', patterns] : [];
+      if (!render) continue;
+      const wav = await render(project, recordings, decoded);
+      if (!wav) continue;
+      const name = `${sanitize(project.name || project.type) || project.type}_${project.id}`;
+      zip.folder(folder).file(`${name}.wav`, wav);
+      list.push({ ...project, audio: `${folder}/${name}.wav` });
+    }
+
     if (mapBackgroundUrl) {
       const mapBlob = await toBlob(mapBackgroundUrl);
       imagesFolder.file('map.png', mapBlob);
     }
 
-    zip.file('metadata.json', JSON.stringify({ items }, null, 2));
+    zip.file('metadata.json', JSON.stringify({ items, mixes, patterns }, null, 2));
     // CSV summary
-    const csv = ['id,label,timestamp,duration_seconds,tags,audio,thumbnail,photo,x,y,color'].concat(
+    const csv = [`id,label,timestamp,duration_seconds,tags,audio,thumbnail,photo,x,y,color,${ECO_INDICES.map(i => i.key).join(',')}`].concat(
       items.map(it => [
         it.id,
         `"${(it.label||'').replace(/"/g,'""')}"`,
@@ -59,16 +99,17 @@ export class Exporter {
         Math.round((it.durationMs||0)/1000),
         `"${(it.tags||[]).join('|').replace(/"/g,'""')}"`,
         it.audio,
-        it.thumbnail,
+        it.thumbnail ?? '',
         it.photo ?? '',
         it.map?.x ?? '',
         it.map?.y ?? '',
-        it.map?.color ?? ''
+        it.map?.color ?? '',
+        ...ECO_INDICES.map(i => it.ecoIndices?.[i.key] ?? '')
       ].join(','))
     ).join('\n');
     zip.file('summary.csv', csv);
     // README
-    zip.file('README.txt', 'Sound Explorer Package\n\nHow to use:\n1) Unzip this folder.\n2) Open map.html in your browser.\n3) Click colored pins or list Play buttons.\nAll audio, thumbnails, and tag notes are included.\n');
+    zip.file('README.txt', 'Sound Explorer Package\n\nHow to use:\n1) Unzip this folder.\n2) Open map.html in your browser.\n3) Click colored pins or list Play buttons.\nAll audio, thumbnails, and tag notes are included.\nMixes made in the Mixer are in the mixes folder, beats from the Beats tab in the beats folder.\n');
 
     zip.file('map.html', this._mapHtml(!!mapBackgroundUrl, items));
 
@@ -159,10 +200,10 @@ export class Exporter {
 
     function card(item){
       const c = document.createElement('div'); c.className='card';
-      const img = document.createElement('img'); img.className='thumb'; img.src=item.photo || item.thumbnail; img.alt=item.label; c.appendChild(img);
+      const img = document.createElement('img'); img.className='thumb'; img.src=item.photo || item.thumbnail || ''; img.alt=item.label; c.appendChild(img);
       const ct = document.createElement('div'); ct.className='content';
       const h = document.createElement('div'); h.className='label'; h.textContent=item.label; ct.appendChild(h);
-      const meta = document.createElement('div'); meta.style.fontSize='12px'; meta.style.color='#555'; meta.textContent = new Date(item.timestamp).toLocaleString() + ' • ' + Math.round((item.durationMs||0)/1000) + 's'; ct.appendChild(meta);
+      const meta = document.createElement('div'); meta.style.fontSize='12px'; meta.style.color='#555'; const secs = Math.round((item.durationMs||0)/1000); meta.textContent = new Date(item.timestamp).toLocaleString() + ' • ' + (secs >= 60 ? Math.floor(secs/60) + ':' + String(secs%60).padStart(2,'0') : secs + 's'); ct.appendChild(meta);
       const tags = document.createElement('div'); tags.className='tags';
       (item.tags||[]).forEach(t=>{ const s=document.createElement('span'); s.className='tag'; s.textContent=t; tags.appendChild(s); }); ct.appendChild(tags);
       const note = document.createElement('div'); note.className='note'; note.textContent = (item.tags&&item.tags.length) ? 'Tags: ' + item.tags.join(', ') : 'No tags'; ct.appendChild(note);
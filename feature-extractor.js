@@ -0,0 +1,147 @@
+// Spectral feature extraction shared by live capture and offline analysis.
+// Bands are defined in Hz, so the features mean the same thing at any sample rate or FFT size.
+import { detectPitch, summarizePitch } from './pitch-tracker.js';
+
+export const FEATURE_BANDS = [
+  { key: 'sub', low: 20, high: 120, label: 'Rumble' },
+  { key: 'low', low: 120, high: 500, label: 'Low' },
+  { key: 'lowMid', low: 500, high: 2000, label: 'Low-mid' },
+  { key: 'highMid', low: 2000, high: 6000, label: 'High-mid' },
+  { key: 'high', low: 6000, high: 20000, label: 'High' }
+];
+
+export const FEATURE_HOP_MS = 100;   // live frames are captured every 100 ms
+const SILENCE_DB = -120;
+
+const toDb = (power) => power > 0 ? Math.max(SILENCE_DB, 10 * Math.log10(power)) : SILENCE_DB;
+
+export class FeatureExtractor {
+  constructor({ sampleRate, fftSize }) {
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    this.binHz = sampleRate / fftSize;
+    this.prevSpectrum = null;
+  }
+
+  reset() {
+    this.prevSpectrum = null;
+  }
+
+  // freqDb: analyser getFloatFrequencyData output; timeData: getFloatTimeDomainData output
+  compute(freqDb, timeData) {
+    const bins = freqDb.length;
+    const mags = new Float32Array(bins);
+    let magSum = 0, powSum = 0, weightedFreq = 0, logSum = 0, counted = 0;
+    for (let i = 1; i < bins; i++) {           // skip DC
+      const m = Math.pow(10, freqDb[i] / 20);
+      mags[i] = m;
+      magSum += m;
+      powSum += m * m;
+      weightedFreq += i * this.binHz * m;
+      logSum += Math.log(m * m + 1e-20);
+      counted++;
+    }
+
+    const centroid = magSum > 0 ? weightedFreq / magSum : 0;
+
+    // Frequency below which 85% of the energy sits
+    let rolloff = 0, acc = 0;
+    for (let i = 1; i < bins; i++) {
+      acc += mags[i] * mags[i];
+      if (acc >= powSum * 0.85) { rolloff = i * this.binHz; break; }
+    }
+
+    // Geometric / arithmetic mean of the power spectrum: ~0 for pure tones, ~1 for white noise
+    const flatness = powSum > 0 ? Math.exp(logSum / counted) / (powSum / counted) : 0;
+
+    // Positive change of the normalised spectrum since the previous frame
+    let flux = 0;
+    if (magSum > 0) {
+      const norm = new Float32Array(bins);
+      for (let i = 1; i < bins; i++) norm[i] = mags[i] / magSum;
+      if (this.prevSpectrum) {
+        for (let i = 1; i < bins; i++) {
+          const d = norm[i] - this.prevSpectrum[i];
+          if (d > 0) flux += d * d;
+        }
+        flux = Math.sqrt(flux);
+      }
+      this.prevSpectrum = norm;
+    }
+
+    let sumSq = 0, crossings = 0;
+    for (let i = 0; i < timeData.length; i++) {
+      sumSq += timeData[i] * timeData[i];
+      if (i > 0 && (timeData[i] >= 0) !== (timeData[i - 1] >= 0)) crossings++;
+    }
+    const rmsDb = toDb(sumSq / (timeData.length || 1));
+    const zcr = crossings / Math.max(1, timeData.length - 1);
+    const pitch = detectPitch(timeData, this.sampleRate);
+
+    const bands = {};
+    FEATURE_BANDS.forEach(band => {
+      const lo = Math.max(1, Math.floor(band.low / this.binHz));
+      const hi = Math.min(bins - 1, Math.ceil(band.high / this.binHz));
+      let p = 0;
+      for (let i = lo; i <= hi; i++) p += mags[i] * mags[i];
+      bands[band.key] = Math.round(toDb(p) * 10) / 10;
+    });
+
+    return {
+      rmsDb: Math.round(rmsDb * 10) / 10,
+      centroid: Math.round(centroid),
+      rolloff: Math.round(rolloff),
+      flatness: Math.round(flatness * 1000) / 1000,
+      flux: Math.round(flux * 1000) / 1000,
+      zcr: Math.round(zcr * 1000) / 1000,
+      pitch: pitch ? Math.round(pitch.hz * 10) / 10 : null,   // Hz, null when there is no clear pitch
+      bands
+    };
+  }
+}
+
+// Whole-recording summary of a feature time series (what missions, tags and filters look at)
+export function summarizeFeatures(frames) {
+  if (!frames || frames.length === 0) return null;
+  const n = frames.length;
+  const mean = (get) => frames.reduce((sum, f) => sum + get(f), 0) / n;
+  const rms = frames.map(f => f.rmsDb);
+  const rmsDbMean = mean(f => f.rmsDb);
+  const rmsDbStd = Math.sqrt(rms.reduce((sum, v) => sum + (v - rmsDbMean) ** 2, 0) / n);
+
+  const bands = {};
+  FEATURE_BANDS.forEach(b => { bands[b.key] = mean(f => f.bands[b.key]); });
+  const dominantBand = FEATURE_BANDS.reduce((best, b) => bands[b.key] > bands[best.key] ? b : best).key;
+
+  return {
+    frames: n,
+    rmsDbMean,
+    rmsDbMax: Math.max(...rms),
+    rmsDbStd,
+    centroid: mean(f => f.centroid),
+    rolloff: mean(f => f.rolloff),
+    flatness: mean(f => f.flatness),
+    flux: mean(f => f.flux),
+    zcr: mean(f => f.zcr),
+    bands,
+    dominantBand,
+    ...summarizePitch(frames)   // pitchHz (median), pitchMin, pitchMax, voiced (0..1), notes
+  };
+}
+
+// Plain-language descriptors derived from a summary; used for gallery filters and tag suggestions
+export const DESCRIPTORS = ['low', 'high', 'quiet', 'loud', 'tonal', 'noisy', 'steady', 'changing'];
+
+export function describeFeatures(summary) {
+  if (!summary) return [];
+  const out = [];
+  if (['sub', 'low'].includes(summary.dominantBand) || summary.centroid < 400) out.push('low');
+  else if (['highMid', 'high'].includes(summary.dominantBand) || summary.centroid > 3000) out.push('high');
+  if (summary.rmsDbMean < -50) out.push('quiet');
+  else if (summary.rmsDbMax > -15) out.push('loud');
+  if (summary.flatness < 0.05) out.push('tonal');
+  else if (summary.flatness > 0.3) out.push('noisy');
+  if (summary.frames >= 10 && summary.rmsDbStd < 3) out.push('steady');
+  else if (summary.rmsDbStd > 8) out.push('changing');
+  return out;
+}
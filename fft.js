@@ -0,0 +1,77 @@
+// Radix-2 FFT for analysis that runs on decoded buffers outside the Web Audio graph.
+
+const windows = new Map();
+
+// Periodic Hann window of length n (cached)
+export function hannWindow(n) {
+  if (!windows.has(n)) {
+    const w = new Float32Array(n);
+    for (let i = 0; i < n; i++) w[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / n);
+    windows.set(n, w);
+  }
+  return windows.get(n);
+}
+
+// In-place complex FFT; re.length must be a power of two. inverse = true computes the unscaled inverse.
+export function fft(re, im, inverse = false) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    const wRe = Math.cos(angle), wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1, curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k, b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const next = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = next;
+      }
+    }
+  }
+}
+
+// Mono mix of every channel of an AudioBuffer
+export function mixToMono(buffer) {
+  if (buffer.numberOfChannels === 1) return buffer.getChannelData(0);
+  const out = new Float32Array(buffer.length);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < out.length; i++) out[i] += data[i] / buffer.numberOfChannels;
+  }
+  return out;
+}
+
+// Calls onFrame(mags, index) for every Hann-windowed hop of samples; mags (fftSize / 2 bins) is reused between calls,
+// so long recordings can be analysed without holding the whole spectrogram
+export function forEachStftFrame(samples, { fftSize = 1024, hop = fftSize } = {}, onFrame) {
+  const window = hannWindow(fftSize);
+  const re = new Float32Array(fftSize);
+  const im = new Float32Array(fftSize);
+  const mags = new Float32Array(fftSize / 2);
+  let index = 0;
+  for (let start = 0; start + fftSize <= samples.length; start += hop) {
+    for (let i = 0; i < fftSize; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k < mags.length; k++) mags[k] = Math.hypot(re[k], im[k]);
+    onFrame(mags, index++);
+  }
+  return index;
+}
@@ -0,0 +1,36 @@
+// Frequency axis mappings for spectrogram displays. Positions run 0 (bottom) to 1 (top, Nyquist).
+
+export const FREQUENCY_SCALES = [
+  { id: 'linear', label: 'Linear' },
+  { id: 'log', label: 'Logarithmic' },
+  { id: 'mel', label: 'Mel (like hearing)' }
+];
+
+const LOG_MIN_HZ = 20; // bottom of the log axis; nothing below is audible anyway
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+export function hzToPosition(hz, scale, nyquist) {
+  if (scale === 'log') return Math.log(Math.max(hz, LOG_MIN_HZ) / LOG_MIN_HZ) / Math.log(nyquist / LOG_MIN_HZ);
+  if (scale === 'mel') return hzToMel(hz) / hzToMel(nyquist);
+  return hz / nyquist;
+}
+
+export function positionToHz(position, scale, nyquist) {
+  if (scale === 'log') return LOG_MIN_HZ * Math.pow(nyquist / LOG_MIN_HZ, position);
+  if (scale === 'mel') return melToHz(position * hzToMel(nyquist));
+  return position * nyquist;
+}
+
+// Gridline frequencies that read well on each scale
+export function frequencyTicks(scale, nyquist) {
+  const candidates = scale === 'linear'
+    ? [1000, 2000, 4000, 6000, 8000, 10000, 12000, 14000, 16000, 18000, 20000, 22000]
+    : [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000];
+  return candidates.filter(hz => hz < nyquist);
+}
+
+export function formatHz(hz) {
+  return hz >= 1000 ? `${hz / 1000}k` : `${hz}`;
+}
@@ -0,0 +1,126 @@
+// Level metering from time-domain samples: peak/RMS dBFS, true clipping, optional A-weighting,
+// and per-recording Leq/Lmax/L90 statistics. An optional calibration offset maps dBFS to approximate dB SPL.
+
+export const METER_FLOOR_DB = -60;   // bottom of the level bar
+const SILENCE_DB = -120;
+const CLIP_SAMPLE = 0.999;           // |sample| at or above this counts as clipped
+
+export function toDb(linear) {
+  return linear > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(linear)) : SILENCE_DB;
+}
+
+// 0..1 position on the level bar for a dBFS reading (and back), used by the meter and the trigger threshold
+export function dbToMeter(db) {
+  return Math.max(0, Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB));
+}
+
+export function meterToDb(level) {
+  return METER_FLOOR_DB + level * -METER_FLOOR_DB;
+}
+
+// IEC 61672 A-weighting gain (linear) at frequency f
+export function aWeighting(f) {
+  if (f <= 0) return 0;
+  const f2 = f * f;
+  const ra = (12194 ** 2 * f2 * f2) /
+    ((f2 + 20.6 ** 2) * Math.sqrt((f2 + 107.7 ** 2) * (f2 + 737.9 ** 2)) * (f2 + 12194 ** 2));
+  return ra * 1.2589; // +2.0 dB normalises the curve to 0 dB at 1 kHz
+}
+
+export class LevelMeter {
+  constructor() {
+    this.weighting = 'Z';            // 'Z' (flat) or 'A'
+    this.calibrationOffset = null;   // dB added to dBFS to approximate dB SPL; null = uncalibrated
+    this.aWeights = null;
+    this.aWeightsKey = '';
+    this.stats = null;
+  }
+
+  configure({ weighting, calibrationOffset }) {
+    if (weighting !== undefined) this.weighting = weighting === 'A' ? 'A' : 'Z';
+    if (calibrationOffset !== undefined) this.calibrationOffset = calibrationOffset;
+  }
+
+  get unit() {
+    const w = this.weighting === 'A' ? 'A' : '';
+    return this.calibrationOffset === null ? `dBFS${w ? ` (${w})` : ''}` : `dB${w} SPL`;
+  }
+
+  _weightsFor(binCount, sampleRate) {
+    const key = `${binCount}@${sampleRate}`;
+    if (this.aWeightsKey !== key) {
+      const binHz = sampleRate / (binCount * 2);
+      this.aWeights = new Float32Array(binCount);
+      for (let i = 0; i < binCount; i++) this.aWeights[i] = aWeighting(i * binHz) ** 2;
+      this.aWeightsKey = key;
+    }
+    return this.aWeights;
+  }
+
+  // timeData: Float32 samples; freqDb: analyser getFloatFrequencyData output (only needed for A-weighting)
+  measure(timeData, freqDb = null, sampleRate = 48000) {
+    let peak = 0, sumSq = 0, clippedSamples = 0;
+    for (let i = 0; i < timeData.length; i++) {
+      const v = Math.abs(timeData[i]);
+      if (v > peak) peak = v;
+      if (v >= CLIP_SAMPLE) clippedSamples++;
+      sumSq += timeData[i] * timeData[i];
+    }
+    const rms = Math.sqrt(sumSq / (timeData.length || 1));
+    const peakDb = toDb(peak);
+    const rmsDb = toDb(rms);
+
+    // A-weighted level = flat RMS scaled by the weighted/unweighted power ratio of the spectrum
+    let levelDb = rmsDb;
+    if (this.weighting === 'A' && freqDb) {
+      const weights = this._weightsFor(freqDb.length, sampleRate);
+      let total = 0, weighted = 0;
+      for (let i = 0; i < freqDb.length; i++) {
+        const p = Math.pow(10, freqDb[i] / 10);
+        total += p;
+        weighted += p * weights[i];
+      }
+      if (total > 0) levelDb = Math.max(SILENCE_DB, rmsDb + 10 * Math.log10(weighted / total || 1e-12));
+    }
+
+    const offset = this.calibrationOffset || 0;
+    return { peakDb, rmsDb, levelDb, display: levelDb + offset, clipped: clippedSamples > 0, peak };
+  }
+
+  startStats() {
+    this.stats = { levels: [], energy: 0, peakDb: SILENCE_DB, clipCount: 0 };
+  }
+
+  // Adds a reading to the statistics started by startStats (ignored when none are being gathered)
+  accumulate(reading) {
+    const s = this.stats;
+    if (!s) return;
+    s.levels.push(reading.levelDb);
+    s.energy += Math.pow(10, reading.levelDb / 10);
+    s.peakDb = Math.max(s.peakDb, reading.peakDb);
+    if (reading.clipped) s.clipCount++;
+  }
+
+  // Leq (energy average), Lmax, L10/L50/L90 (level exceeded 10/50/90% of the time), true peak and clip count
+  getStats() {
+    const s = this.stats;
+    this.stats = null;
+    if (!s || s.levels.length === 0) return null;
+    const offset = this.calibrationOffset || 0;
+    const sorted = [...s.levels].sort((a, b) => b - a);
+    const exceeded = (pct) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * pct / 100))];
+    const round = (v) => Math.round((v + offset) * 10) / 10;
+    return {
+      leq: round(10 * Math.log10(s.energy / s.levels.length)),
+      lmax: round(sorted[0]),
+      l10: round(exceeded(10)),
+      l50: round(exceeded(50)),
+      l90: round(exceeded(90)),
+      truePeakDbfs: Math.round(s.peakDb * 10) / 10,
+      clipCount: s.clipCount,
+      weighting: this.weighting,
+      calibrationOffset: this.calibrationOffset,
+      unit: this.unit
+    };
+  }
+}
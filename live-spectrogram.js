@@ -0,0 +1,268 @@
+// Scrolling live spectrogram: selectable frequency scale, colormap and dB range, a Hz axis with gridlines,
+// and a freeze mode whose picture can be pinch-, wheel- or drag-zoomed while the microphone keeps running.
+import { colormapTable } from './colormaps.js';
+import { hzToPosition, positionToHz, frequencyTicks, formatHz } from './frequency-scale.js';
+
+export const FFT_SIZES = [1024, 2048, 4096, 8192];
+export const SCROLL_SPEEDS = [              // pixels per animation frame
+  { value: 0.5, label: 'Slow' },
+  { value: 1, label: 'Normal' },
+  { value: 2, label: 'Fast' },
+  { value: 4, label: 'Very fast' }
+];
+
+export const DEFAULT_SPECTROGRAM_SETTINGS = {
+  scale: 'log',
+  colormap: 'viridis',
+  minDb: -100,
+  maxDb: -20,
+  speed: 1,
+  fftSize: 2048
+};
+
+const MAX_ZOOM = 16;
+
+export class LiveSpectrogram {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    // Scrolled columns live offscreen so the visible canvas can be zoomed and overlaid with the axis
+    this.history = document.createElement('canvas');
+    this.historyCtx = this.history.getContext('2d');
+    this.settings = { ...DEFAULT_SPECTROGRAM_SETTINGS };
+    this.sampleRate = 48000;
+    this.binCount = this.settings.fftSize / 2;
+    this.rowBins = null;           // [loBin, hiBin) per history row, rebuilt when scale or size changes
+    this.column = null;
+    this.trace = new Float32Array(0);   // pitch (Hz) per history column, 0 = none
+    this.scrollCarry = 0;
+    this.frozen = false;
+    this.view = { zoom: 1, x: 0, y: 0 };
+    this.pointers = new Map();
+    this.pinchDistance = 0;
+    this._bindGestures();
+  }
+
+  configure(settings) {
+    const before = this.settings;
+    this.settings = { ...before, ...settings };
+    if (['scale', 'colormap', 'minDb', 'maxDb'].some(k => this.settings[k] !== before[k])) {
+      this.rowBins = null;
+      this.clear();
+    }
+  }
+
+  setSource(sampleRate, binCount) {
+    if (sampleRate === this.sampleRate && binCount === this.binCount) return;
+    this.sampleRate = sampleRate;
+    this.binCount = binCount;
+    this.rowBins = null;
+  }
+
+  resize(width, height) {
+    if (this.history.width === width && this.history.height === height) return;
+    const old = document.createElement('canvas');
+    old.width = this.history.width;
+    old.height = this.history.height;
+    old.getContext('2d').drawImage(this.history, 0, 0);
+    this.history.width = width;
+    this.history.height = height;
+    this.clear();
+    if (old.width && old.height) this.historyCtx.drawImage(old, 0, 0, width, height);
+    this.trace = new Float32Array(width);
+    this.rowBins = null;
+    this.column = null;
+    this._clampView();
+  }
+
+  clear() {
+    const table = colormapTable(this.settings.colormap);
+    this.historyCtx.fillStyle = `rgb(${table[0]}, ${table[1]}, ${table[2]})`;
+    this.historyCtx.fillRect(0, 0, this.history.width, this.history.height);
+  }
+
+  setFrozen(frozen) {
+    this.frozen = frozen;
+    this.view = { zoom: 1, x: 0, y: 0 };
+    this.pointers.clear();
+    this.canvas.classList.toggle('frozen', frozen);
+  }
+
+  // Offscreen picture without axis or zoom (used for thumbnails)
+  getHistoryCanvas() {
+    return this.history;
+  }
+
+  _buildRowBins() {
+    const { scale } = this.settings;
+    const height = this.history.height;
+    const nyquist = this.sampleRate / 2;
+    const binHz = nyquist / this.binCount;
+    this.rowBins = new Uint32Array(height * 2);
+    for (let y = 0; y < height; y++) {
+      const lo = Math.floor(positionToHz((height - 1 - y) / height, scale, nyquist) / binHz);
+      const hi = Math.ceil(positionToHz((height - y) / height, scale, nyquist) / binHz);
+      this.rowBins[y * 2] = Math.min(this.binCount - 1, lo);
+      this.rowBins[y * 2 + 1] = Math.min(this.binCount, Math.max(lo + 1, hi));
+    }
+  }
+
+  // freqDb: analyser getFloatFrequencyData output; pitchHz (optional) is traced over the picture
+  push(freqDb, pitchHz = null) {
+    if (this.frozen) return;
+    const { width, height } = this.history;
+    if (width <= 1 || height <= 1) return;
+
+    this.scrollCarry += this.settings.speed;
+    const steps = Math.min(width, Math.floor(this.scrollCarry));
+    if (steps < 1) return;
+    this.scrollCarry -= steps;
+
+    if (!this.rowBins) this._buildRowBins();
+    if (!this.column) this.column = this.historyCtx.createImageData(1, height);
+
+    const { minDb, maxDb } = this.settings;
+    const table = colormapTable(this.settings.colormap);
+    const data = this.column.data;
+    for (let y = 0; y < height; y++) {
+      // A row can span many bins on log/mel scales; show the loudest so narrow tones stay visible
+      let db = -Infinity;
+      for (let b = this.rowBins[y * 2]; b < this.rowBins[y * 2 + 1]; b++) if (freqDb[b] > db) db = freqDb[b];
+      const idx = Math.round(Math.max(0, Math.min(1, (db - minDb) / (maxDb - minDb))) * 255) * 3;
+      data[y * 4] = table[idx];
+      data[y * 4 + 1] = table[idx + 1];
+      data[y * 4 + 2] = table[idx + 2];
+      data[y * 4 + 3] = 255;
+    }
+
+    this.historyCtx.drawImage(this.history, steps, 0, width - steps, height, 0, 0, width - steps, height);
+    for (let x = width - steps; x < width; x++) this.historyCtx.putImageData(this.column, x, 0);
+    this.trace.copyWithin(0, steps);
+    this.trace.fill(pitchHz || 0, width - steps);
+  }
+
+  render() {
+    const { ctx, canvas } = this;
+    const { width, height } = canvas;
+    const { zoom, x: sx, y: sy } = this.view;
+    ctx.imageSmoothingEnabled = zoom === 1;
+    ctx.drawImage(this.history, sx, sy, width / zoom, height / zoom, 0, 0, width, height);
+    this._drawTrace(sx, sy, zoom);
+    this._drawAxis(sy, zoom);
+  }
+
+  // Pitch contour kept beside the picture (not in it) so thumbnails stay clean
+  _drawTrace(sx, sy, zoom) {
+    const { ctx } = this;
+    const nyquist = this.sampleRate / 2;
+    const historyHeight = this.history.height;
+    ctx.save();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let prev = 0;
+    for (let x = 0; x < this.trace.length; x++) {
+      const hz = this.trace[x];
+      if (!hz) { prev = 0; continue; }
+      const px = (x - sx) * zoom;
+      const py = ((1 - hzToPosition(hz, this.settings.scale, nyquist)) * historyHeight - sy) * zoom;
+      // Don't join across octave jumps
+      if (prev && Math.abs(Math.log2(hz / prev)) < 0.5) ctx.lineTo(px, py); else ctx.moveTo(px, py);
+      prev = hz;
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  _drawAxis(sy, zoom) {
+    const { ctx, canvas } = this;
+    const nyquist = this.sampleRate / 2;
+    const historyHeight = this.history.height;
+    ctx.save();
+    ctx.font = '12px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
+    frequencyTicks(this.settings.scale, nyquist).forEach(hz => {
+      const historyY = (1 - hzToPosition(hz, this.settings.scale, nyquist)) * historyHeight;
+      const y = Math.round((historyY - sy) * zoom) + 0.5;
+      if (y < 6 || y > canvas.height - 6) return;
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.18)';
+      ctx.beginPath();
+      ctx.moveTo(36, y);
+      ctx.lineTo(canvas.width, y);
+      ctx.stroke();
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+      ctx.fillRect(0, y - 8, 34, 16);
+      ctx.fillStyle = '#fff';
+      ctx.fillText(formatHz(hz), 4, y);
+    });
+    if (this.frozen) {
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+      ctx.fillRect(canvas.width - 96, 4, 92, 20);
+      ctx.fillStyle = '#fff';
+      ctx.fillText(zoom > 1 ? `❄ ${zoom.toFixed(1)}×` : '❄ Frozen', canvas.width - 8, 8);
+    }
+    ctx.restore();
+  }
+
+  _clampView() {
+    const v = this.view;
+    const { width, height } = this.history;
+    v.zoom = Math.max(1, Math.min(MAX_ZOOM, v.zoom));
+    v.x = Math.max(0, Math.min(width - width / v.zoom, v.x));
+    v.y = Math.max(0, Math.min(height - height / v.zoom, v.y));
+  }
+
+  // Zoom by factor while keeping the point under (px, py) in place
+  _zoomAt(px, py, factor) {
+    const v = this.view;
+    const hx = v.x + px / v.zoom, hy = v.y + py / v.zoom;
+    v.zoom = Math.max(1, Math.min(MAX_ZOOM, v.zoom * factor));
+    v.x = hx - px / v.zoom;
+    v.y = hy - py / v.zoom;
+    this._clampView();
+  }
+
+  _bindGestures() {
+    const c = this.canvas;
+    c.addEventListener('pointerdown', (e) => {
+      if (!this.frozen) return;
+      c.setPointerCapture(e.pointerId);
+      this.pointers.set(e.pointerId, { x: e.offsetX, y: e.offsetY });
+      this.pinchDistance = 0;
+    });
+    c.addEventListener('pointermove', (e) => {
+      if (!this.frozen || !this.pointers.has(e.pointerId)) return;
+      const prev = this.pointers.get(e.pointerId);
+      this.pointers.set(e.pointerId, { x: e.offsetX, y: e.offsetY });
+      if (this.pointers.size === 1) {
+        // Drag to pan
+        this.view.x -= (e.offsetX - prev.x) / this.view.zoom;
+        this.view.y -= (e.offsetY - prev.y) / this.view.zoom;
+        this._clampView();
+        return;
+      }
+      const [a, b] = [...this.pointers.values()];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      if (this.pinchDistance > 0) this._zoomAt((a.x + b.x) / 2, (a.y + b.y) / 2, distance / this.pinchDistance);
+      this.pinchDistance = distance;
+    });
+    const release = (e) => {
+      this.pointers.delete(e.pointerId);
+      this.pinchDistance = 0;
+    };
+    c.addEventListener('pointerup', release);
+    c.addEventListener('pointercancel', release);
+    c.addEventListener('wheel', (e) => {
+      if (!this.frozen) return;
+      e.preventDefault();
+      this._zoomAt(e.offsetX, e.offsetY, e.deltaY < 0 ? 1.15 : 1 / 1.15);
+    }, { passive: false });
+    c.addEventListener('dblclick', () => {
+      if (!this.frozen) return;
+      this.view = { zoom: 1, x: 0, y: 0 };
+    });
+  }
+}
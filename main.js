@@ -1,6 +1,27 @@
 import { AudioProcessor } from './audio-processor.js';
 import { Storage } from './storage.js';
 import { Exporter } from './export-package.js';
+import { MonitorSession } from './monitor-session.js';
+import { createWavHeader } from './audio-convert.js';
+import { meterToDb } from './level-meter.js';
+import { summarizeFeatures, describeFeatures, DESCRIPTORS } from './feature-extractor.js';
+import { hzToNote } from './pitch-tracker.js';
+import { TagClassifier, SUGGEST_THRESHOLD } from './tag-classifier.js';
+import { computeFingerprint, rankSimilar, SIMILAR_LIMIT, MIN_SIMILAR_SCORE } from './similarity.js';
+import { computeEcoIndices, ECO_INDICES, formatEcoIndex } from './eco-indices.js';
+import { getPlaybackBuffer, getPlaybackBlob, editedAnnotations } from './audio-editor.js';
+import { describeLabSettings } from './sound-lab.js';
+import { DEFAULT_PRESETS, DEFAULT_PRESET_ID, EQ_BANDS, clonePreset, describePreset } from './signal-presets.js';
+import { analyzeBuffer, decodeBlob } from './offline-analyzer.js';
+import { analyzeRhythm, isRhythmic } from './rhythm-analyzer.js';
+import { renderSpectrogramImage, plotColumns } from './spectrogram.js';
+import { DEFAULT_SPECTROGRAM_SETTINGS, FFT_SIZES, SCROLL_SPEEDS } from './live-spectrogram.js';
+import { FREQUENCY_SCALES } from './frequency-scale.js';
+import { COLORMAPS } from './colormaps.js';
+import { VISUALIZER_MODES, DEFAULT_VISUALIZER_MODE } from './visualizers.js';
+import { RecordingPlayer } from './recording-player.js';
+import { Mixer } from './mixer.js';
+import { Sequencer } from './sequencer.js';
 
 class SoundExplorer {
     constructor() {
@@ -12,6 +33,22 @@ class SoundExplorer {
         this.isRecording = false;
         this.recordingStartTime = 0;
         this.recordingDuration = 7000; // ms
+        this.preRollSeconds = 0; // seconds captured before RECORD is pressed
+        this.autoSave = null; // label/tags for captures that skip the photo and label modals
+        this.triggerArmed = false;
+        this.triggerSettings = { threshold: 0.4, holdMs: 2000, maxMs: 15000 };
+        this.monitorSession = null; // running duty-cycle session, if any
+        this.monitorSessions = []; // summaries of past sessions (captures carry sessionId)
+        this.monitorSettings = { captureSeconds: 10, intervalMinutes: 5, windowHours: 1 };
+        this.wakeLock = null;
+        this.longFormEnabled = false; // no time limit; chunks are persisted while recording
+        this.currentTakeId = null;
+        this.inputSettings = { deviceId: null, channelCount: 1 }; // chosen microphone and mono/stereo
+        this.presets = DEFAULT_PRESETS.map(clonePreset); // built-in + user processing presets
+        this.activePresetId = DEFAULT_PRESET_ID;
+        this.meterSettings = { weighting: 'Z', calibrationEnabled: false, calibrationOffset: 94 };
+        this.spectrogramSettings = { ...DEFAULT_SPECTROGRAM_SETTINGS };
+        this.vizMode = DEFAULT_VISUALIZER_MODE;
         this.geolocationEnabled = false; // retained internally but UI removed
         this.mapBackgroundUrl = null;
         this.currentAudio = null;
@@ -24,85 +61,65 @@ class SoundExplorer {
         this.currentPhotoDataUrl = null;
         this.cameraStream = null;
         this.activeAudios = new Set(); // track all playing audios
+        this.player = null; // detail player (waveform, spectrogram, seek, loop), created on first use
+        this.similarTo = null; // { id, scores: Map(id -> 0..1) } while the gallery shows "More like this" results
+        this.mapIndex = ECO_INDICES[0].key; // soundscape index compared across map pins
         this.APP_VERSION = 'v0.1.2'; // ★ Updated version
         
-        // Sound Hunt missions
+        // Sound Hunt missions (checked against summarizeFeatures() of the recording's feature frames)
         this.missions = [
             {
                 id: 'quiet-quest',
                 name: 'Quiet Quest',
                 description: 'Find a very soft sound',
                 icon: '',
-                check: (chars) => {
-                    const avgVolume = chars.reduce((sum, c) => sum + c.overall, 0) / chars.length;
-                    return avgVolume < 50;
-                }
+                check: (f) => f.rmsDbMean < -50
             },
             {
                 id: 'big-boom',
                 name: 'Big Boom',
                 description: 'Find a very loud sound',
                 icon: '',
-                check: (chars) => {
-                    const maxVolume = Math.max(...chars.map(c => c.overall));
-                    return maxVolume > 150;
-                }
+                check: (f) => f.rmsDbMax > -15
             },
             {
                 id: 'steady-sound',
                 name: 'Steady Sound',
                 description: 'Record a sound that stays constant',
                 icon: '',
-                check: (chars) => {
-                    if (chars.length < 10) return false;
-                    const volumes = chars.map(c => c.overall);
-                    const avg = volumes.reduce((a, b) => a + b, 0) / volumes.length;
-                    const variance = volumes.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / volumes.length;
-                    return variance < 500 && avg > 30;
-                }
+                needsRhythm: true, // checked once the audio is analyzed (see saveRecording)
+                // Constant level and hardly any new hits
+                check: (f, frames, rec) => f.frames >= 10 && f.rmsDbStd < 3 && f.rmsDbMean > -55 &&
+                    (!rec.rhythm || rec.rhythm.onsetRate < 0.5)
             },
             {
                 id: 'pattern-pro',
                 name: 'Pattern Pro',
                 description: 'Record a sound with a repeating pattern',
                 icon: '',
-                check: (chars) => {
-                    if (chars.length < 15) return false;
-                    // Look for volume changes that repeat
-                    const volumes = chars.map(c => c.overall);
-                    const threshold = volumes.reduce((a, b) => a + b, 0) / volumes.length;
-                    
-                    let peaks = 0;
-                    for (let i = 1; i < volumes.length - 1; i++) {
-                        if (volumes[i] > threshold * 1.2 && volumes[i] > volumes[i-1] && volumes[i] > volumes[i+1]) {
-                            peaks++;
-                        }
-                    }
-                    
-                    return peaks >= 3;
-                }
+                needsRhythm: true,
+                check: (f, frames, rec) => isRhythmic(rec.rhythm)
             },
             {
                 id: 'rumble-ranger',
                 name: 'Low Sounds!',
                 description: 'Record any low sound',
                 icon: '',
-                check: (chars) => {
-                    const avgLow = chars.reduce((sum, c) => sum + c.lowAvg, 0) / chars.length;
-                    const avgHigh = chars.reduce((sum, c) => sum + c.highAvg, 0) / chars.length;
-                    return avgLow > 40 && avgLow > avgHigh * 1.3;
-                }
+                check: (f) => f.rmsDbMean > -60 && f.centroid < 500 && ['sub', 'low'].includes(f.dominantBand)
             },
             {
                 id: 'chirp-chaser',
                 name: 'High Sounds!',
                 description: 'Record any high sound',
                 icon: '',
-                check: (chars) => {
-                    const avgHigh = chars.reduce((sum, c) => sum + c.highAvg, 0) / chars.length;
-                    const avgLow = chars.reduce((sum, c) => sum + c.lowAvg, 0) / chars.length;
-                    return avgHigh > 35 && avgHigh > avgLow * 1.2;
-                }
+                check: (f) => f.rmsDbMean > -60 && f.centroid > 3000 && ['highMid', 'high'].includes(f.dominantBand)
+            },
+            {
+                id: 'note-finder',
+                name: 'Note Finder',
+                description: 'Record a sound that sings a clear note',
+                icon: '',
+                check: (f) => f.pitchHz !== null && f.voiced >= 0.5
             }
         ];
         
@@ -116,6 +133,19 @@ class SoundExplorer {
         await this.loadSettings();
         await this.loadRecordings();
         this.setupEventListeners();
+        this.mixer = new Mixer({
+            storage: this.storage,
+            getRecordings: () => this.recordings,
+            onPlay: (mixer) => this.activeAudios.add(mixer),
+            onStop: (mixer) => this.activeAudios.delete(mixer)
+        });
+        this.sequencer = new Sequencer({
+            storage: this.storage,
+            getRecordings: () => this.recordings,
+            onPlay: (sequencer) => this.activeAudios.add(sequencer),
+            onStop: (sequencer) => this.activeAudios.delete(sequencer)
+        });
+        await this.recoverPendingTake();
         // removed auto-start; wait for user to press START
         // await this.startAutoVisualization();
     }
@@ -153,6 +183,39 @@ class SoundExplorer {
             }
         });
 
+        // Listen & wait (sound-activated recording)
+        document.getElementById('triggerBtn').addEventListener('click', () => this.toggleTrigger());
+        // The browser drops the wake lock whenever the page is hidden; take it again on return
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && (this.triggerArmed || this.monitorSession)) this.requestWakeLock();
+        });
+        document.getElementById('roomToneBtn').addEventListener('click', () => this.captureRoomTone());
+        [['triggerThreshold', 'threshold', v => v / 100],
+         ['triggerHold', 'holdMs', v => v * 1000],
+         ['triggerMax', 'maxMs', v => v * 1000]].forEach(([id, key, map]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                this.triggerSettings[key] = map(parseFloat(e.target.value));
+                this.updateTriggerUI();
+                this.storage.set('triggerSettings', this.triggerSettings);
+                if (this.audioProcessor) this.audioProcessor.updateTriggerSettings(this.triggerSettings);
+            });
+        });
+
+        // Monitoring session (duty-cycle recording)
+        document.getElementById('monitorBtn').addEventListener('click', () => this.toggleMonitorSession());
+        document.getElementById('sessionsBtn').addEventListener('click', () => this.openSessionSummary());
+        document.getElementById('closeSessions').addEventListener('click', () => {
+            document.getElementById('sessionModal').classList.add('hidden');
+        });
+        document.getElementById('sessionSelect').addEventListener('change', (e) => this.renderSessionSummary(e.target.value));
+        [['monitorCapture', 'captureSeconds'], ['monitorInterval', 'intervalMinutes'], ['monitorWindow', 'windowHours']].forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                this.monitorSettings[key] = parseFloat(e.target.value);
+                this.updateMonitorUI();
+                this.storage.set('monitorSettings', this.monitorSettings);
+            });
+        });
+
         // Label modal
         document.getElementById('saveLabel').addEventListener('click', () => this.saveRecording());
         document.getElementById('cancelLabel').addEventListener('click', () => this.closeLabelModal());
@@ -166,6 +229,14 @@ class SoundExplorer {
         document.getElementById('skipPicture').addEventListener('click', () => this.skipPicture());
 
         // Gallery
+        document.getElementById('clearSimilar').addEventListener('click', () => this.clearSimilar());
+
+        const indexSelect = document.getElementById('mapIndexSelect');
+        indexSelect.innerHTML = ECO_INDICES.map(i => `<option value="${i.key}">${i.label}</option>`).join('');
+        indexSelect.addEventListener('change', (e) => {
+            this.mapIndex = e.target.value;
+            this.drawMapIndexChart();
+        });
         document.getElementById('searchInput').addEventListener('input', (e) => {
             this.filterGallery(e.target.value);
         });
@@ -180,6 +251,48 @@ class SoundExplorer {
             document.getElementById('recordingLengthValue').textContent = `${e.target.value} seconds`;
         });
 
+        document.getElementById('inputDevice').addEventListener('change', () => this.changeInput());
+        document.getElementById('inputChannels').addEventListener('change', () => this.changeInput());
+        if (navigator.mediaDevices?.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.populateInputDevices());
+        }
+
+        // Level meter
+        ['meterWeighting', 'meterCalibrated', 'meterOffset'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateMeterSettings());
+        });
+
+        // Live spectrogram display
+        document.querySelectorAll('.spectrogram-field').forEach(el => {
+            el.addEventListener('input', () => this.updateSpectrogramSettings());
+        });
+        document.getElementById('freezeBtn').addEventListener('click', () => this.toggleFreeze());
+        document.getElementById('vizModes').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-mode]');
+            if (btn) this.setVizMode(btn.dataset.mode);
+        });
+
+        // Processing presets
+        document.getElementById('presetSelect').addEventListener('change', (e) => this.selectPreset(e.target.value));
+        document.getElementById('presetDuplicate').addEventListener('click', () => this.duplicatePreset());
+        document.getElementById('presetDelete').addEventListener('click', () => this.deletePreset());
+        document.querySelectorAll('.preset-field').forEach(el => {
+            el.addEventListener('input', () => this.updatePresetFromEditor());
+        });
+
+        document.getElementById('longFormToggle').addEventListener('change', (e) => {
+            this.longFormEnabled = e.target.checked;
+            this.storage.set('longFormEnabled', this.longFormEnabled);
+            document.getElementById('recordingLength').disabled = this.longFormEnabled;
+        });
+
+        document.getElementById('preRollLength').addEventListener('input', (e) => {
+            this.preRollSeconds = parseFloat(e.target.value);
+            document.getElementById('preRollLengthValue').textContent = `${e.target.value} seconds`;
+            this.storage.set('preRollSeconds', this.preRollSeconds);
+            if (this.audioProcessor) this.audioProcessor.setPreRoll(this.preRollSeconds);
+        });
+
         // geolocation toggle removed from UI; no event listener needed
 
         document.getElementById('uploadMapBtn').addEventListener('click', () => {
@@ -199,6 +312,8 @@ class SoundExplorer {
         });
 
         document.getElementById('clearDataBtn').addEventListener('click', () => this.confirmClearData());
+        document.getElementById('reanalyzeBtn').addEventListener('click', () => this.reanalyzeLibrary());
+        document.getElementById('regenerateThumbsBtn').addEventListener('click', () => this.reanalyzeLibrary({ thumbnailsOnly: true }));
 
         // Photo view modal
         document.getElementById('closePhotoView').addEventListener('click', () => {
@@ -219,6 +334,12 @@ class SoundExplorer {
 
     async initAudio(preAcquiredStream) {
         this.audioProcessor = new AudioProcessor();
+        this.audioProcessor.setInputPreferences(this.inputSettings);
+        this.audioProcessor.applyPreset(this.getActivePreset());
+        this.audioProcessor.configureMeter(this.getMeterConfig());
+        this.audioProcessor.configureSpectrogram(this.spectrogramSettings);
+        this.audioProcessor.setVisualizerMode(this.vizMode);
+        this.audioProcessor.setPreRoll(this.preRollSeconds);
         await this.audioProcessor.init(preAcquiredStream);
         
         // Don't start visualization automatically - wait for user to click start button
@@ -226,10 +347,7 @@ class SoundExplorer {
 
     async startAutoVisualization() {
         try {
-            const combined = await navigator.mediaDevices.getUserMedia({
-                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
-                video: { facingMode: 'environment' }
-            });
+            const combined = await this.getInputStream();
             combined.getVideoTracks().forEach(t => t.stop());
             await this.initAudio(combined);
             this.audioProcessor.startVisualization();
@@ -239,6 +357,210 @@ class SoundExplorer {
         }
     }
 
+    // Mic + camera in one prompt; falls back to the default mic if the saved device is gone
+    async getInputStream() {
+        const video = { facingMode: 'environment' };
+        try {
+            return await navigator.mediaDevices.getUserMedia({ audio: AudioProcessor.audioConstraints(this.inputSettings), video });
+        } catch (err) {
+            if (!this.inputSettings.deviceId) throw err;
+            console.warn('Saved microphone unavailable, using default', err);
+            this.inputSettings = { ...this.inputSettings, deviceId: null };
+            return navigator.mediaDevices.getUserMedia({ audio: AudioProcessor.audioConstraints(this.inputSettings), video });
+        }
+    }
+
+    async populateInputDevices() {
+        const select = document.getElementById('inputDevice');
+        if (!navigator.mediaDevices?.enumerateDevices) return;
+        const devices = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'audioinput');
+        select.innerHTML = '<option value="">Default microphone</option>' + devices
+            .filter(d => d.deviceId && d.deviceId !== 'default')
+            .map((d, i) => `<option value="${d.deviceId}">${d.label || `Microphone ${i + 1}`}</option>`)
+            .join('');
+        select.value = this.inputSettings.deviceId || '';
+        document.getElementById('inputChannels').value = String(this.inputSettings.channelCount);
+    }
+
+    async changeInput() {
+        this.inputSettings = {
+            deviceId: document.getElementById('inputDevice').value || null,
+            channelCount: parseInt(document.getElementById('inputChannels').value, 10) || 1
+        };
+        await this.storage.set('inputSettings', this.inputSettings);
+        if (!this.audioProcessor) return; // applied when listening starts
+        try {
+            await this.audioProcessor.switchInput(this.inputSettings);
+        } catch (err) {
+            console.error('Could not switch microphone', err);
+            alert(this.isRecording ? 'Stop recording before changing the microphone.' : 'Could not use that microphone. Please check it is plugged in.');
+        }
+    }
+
+    getMeterConfig() {
+        const { weighting, calibrationEnabled, calibrationOffset } = this.meterSettings;
+        return { weighting, calibrationOffset: calibrationEnabled ? calibrationOffset : null };
+    }
+
+    async updateMeterSettings() {
+        this.meterSettings = {
+            weighting: document.getElementById('meterWeighting').value,
+            calibrationEnabled: document.getElementById('meterCalibrated').checked,
+            calibrationOffset: parseFloat(document.getElementById('meterOffset').value) || 0
+        };
+        this.renderMeterSettings();
+        if (this.audioProcessor) this.audioProcessor.configureMeter(this.getMeterConfig());
+        await this.storage.set('meterSettings', this.meterSettings);
+    }
+
+    renderMeterSettings() {
+        const { weighting, calibrationEnabled, calibrationOffset } = this.meterSettings;
+        document.getElementById('meterWeighting').value = weighting;
+        document.getElementById('meterCalibrated').checked = calibrationEnabled;
+        document.getElementById('meterOffset').value = calibrationOffset;
+        document.getElementById('meterOffset').disabled = !calibrationEnabled;
+    }
+
+    async updateSpectrogramSettings() {
+        const minDb = parseFloat(document.getElementById('spectrogramMinDb').value);
+        const maxDb = parseFloat(document.getElementById('spectrogramMaxDb').value);
+        this.spectrogramSettings = {
+            scale: document.getElementById('spectrogramScale').value,
+            colormap: document.getElementById('spectrogramColormap').value,
+            minDb: Math.min(minDb, maxDb - 10),
+            maxDb,
+            speed: parseFloat(document.getElementById('spectrogramSpeed').value),
+            fftSize: parseInt(document.getElementById('spectrogramFftSize').value, 10)
+        };
+        this.renderSpectrogramSettings();
+        if (this.audioProcessor) this.audioProcessor.configureSpectrogram(this.spectrogramSettings);
+        await this.storage.set('spectrogramSettings', this.spectrogramSettings);
+    }
+
+    renderSpectrogramSettings() {
+        const { scale, colormap, minDb, maxDb, speed, fftSize } = this.spectrogramSettings;
+        const fill = (id, options, value) => {
+            const select = document.getElementById(id);
+            if (!select.options.length) {
+                select.innerHTML = options.map(o => `<option value="${o.value}">${o.label}</option>`).join('');
+            }
+            select.value = value;
+        };
+        fill('spectrogramScale', FREQUENCY_SCALES.map(s => ({ value: s.id, label: s.label })), scale);
+        fill('spectrogramColormap', COLORMAPS.map(c => ({ value: c.id, label: c.label })), colormap);
+        fill('spectrogramSpeed', SCROLL_SPEEDS, speed);
+        fill('spectrogramFftSize', FFT_SIZES.map(n => ({ value: n, label: `${n}` })), fftSize);
+        document.getElementById('spectrogramMinDb').value = minDb;
+        document.getElementById('spectrogramMaxDb').value = maxDb;
+        document.getElementById('spectrogramMinDbValue').textContent = `${minDb} dB`;
+        document.getElementById('spectrogramMaxDbValue').textContent = `${maxDb} dB`;
+    }
+
+    async setVizMode(mode) {
+        this.vizMode = mode;
+        this.renderVizModes();
+        if (this.audioProcessor) this.audioProcessor.setVisualizerMode(mode);
+        await this.storage.set('vizMode', mode);
+    }
+
+    renderVizModes() {
+        document.getElementById('vizModes').innerHTML = VISUALIZER_MODES.map(m => `
+            <button class="btn-toggle ${m.id === this.vizMode ? 'active' : ''}" data-mode="${m.id}" aria-pressed="${m.id === this.vizMode}">
+                ${m.icon} ${m.label}
+            </button>
+        `).join('');
+    }
+
+    toggleFreeze() {
+        if (!this.audioProcessor) return;
+        const frozen = !this.audioProcessor.isSpectrogramFrozen();
+        this.audioProcessor.setSpectrogramFrozen(frozen);
+        const btn = document.getElementById('freezeBtn');
+        btn.classList.toggle('active', frozen);
+        btn.textContent = frozen ? '▶️ Unfreeze' : '❄️ Freeze';
+    }
+
+    // One-line summary of stored level statistics for gallery cards
+    formatLevelStats(stats) {
+        if (!stats) return '';
+        const clip = stats.clipCount ? ' • ⚠️ clipped' : '';
+        return `🔊 Leq ${stats.leq} • Max ${stats.lmax} • L90 ${stats.l90} ${stats.unit}${clip}`;
+    }
+
+    getActivePreset() {
+        return this.presets.find(p => p.id === this.activePresetId) || this.presets[0];
+    }
+
+    async selectPreset(id) {
+        this.activePresetId = id;
+        await this.storage.set('activePresetId', id);
+        if (this.audioProcessor) this.audioProcessor.applyPreset(this.getActivePreset());
+        this.renderPresetEditor();
+    }
+
+    async savePresets() {
+        // Only user presets are stored; built-ins always come from signal-presets.js
+        await this.storage.set('signalPresets', this.presets.filter(p => !p.builtIn));
+    }
+
+    async duplicatePreset() {
+        const source = this.getActivePreset();
+        const name = prompt('Name for the new preset:', `${source.name} (my version)`);
+        if (!name) return;
+        const preset = { ...clonePreset(source), id: `preset-${Date.now()}`, name: name.trim(), builtIn: false };
+        this.presets.push(preset);
+        await this.savePresets();
+        await this.selectPreset(preset.id);
+    }
+
+    async deletePreset() {
+        const preset = this.getActivePreset();
+        if (preset.builtIn) return;
+        this.presets = this.presets.filter(p => p.id !== preset.id);
+        await this.savePresets();
+        await this.selectPreset(DEFAULT_PRESET_ID);
+    }
+
+    async updatePresetFromEditor() {
+        const preset = this.getActivePreset();
+        if (preset.builtIn) return;
+        const val = (id) => parseFloat(document.getElementById(id).value);
+        const on = (id) => document.getElementById(id).checked;
+        preset.highpass = { enabled: on('presetHighpass'), frequency: val('presetHighpassFreq') };
+        preset.eq = { enabled: on('presetEq') };
+        EQ_BANDS.forEach(b => { preset.eq[b.key] = val(`presetEq-${b.key}`); });
+        preset.compressor = { ...preset.compressor, enabled: on('presetCompressor') };
+        preset.limiter = { ...preset.limiter, enabled: on('presetLimiter') };
+        if (this.audioProcessor) this.audioProcessor.applyPreset(preset);
+        this.renderPresetEditor();
+        await this.savePresets();
+    }
+
+    renderPresetEditor() {
+        const preset = this.getActivePreset();
+        const select = document.getElementById('presetSelect');
+        select.innerHTML = this.presets.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+        select.value = preset.id;
+        document.getElementById('presetSummary').textContent = describePreset(preset);
+
+        document.getElementById('presetHighpass').checked = preset.highpass.enabled;
+        document.getElementById('presetHighpassFreq').value = preset.highpass.frequency;
+        document.getElementById('presetHighpassFreqValue').textContent = `${preset.highpass.frequency} Hz`;
+        document.getElementById('presetEq').checked = preset.eq.enabled;
+        EQ_BANDS.forEach(b => {
+            document.getElementById(`presetEq-${b.key}`).value = preset.eq[b.key];
+            document.getElementById(`presetEq-${b.key}Value`).textContent = `${preset.eq[b.key]} dB`;
+        });
+        document.getElementById('presetCompressor').checked = preset.compressor.enabled;
+        document.getElementById('presetLimiter').checked = preset.limiter.enabled;
+
+        document.querySelectorAll('.preset-field').forEach(el => { el.disabled = preset.builtIn; });
+        document.getElementById('presetDelete').disabled = preset.builtIn;
+        document.getElementById('presetEditorHelp').textContent = preset.builtIn
+            ? 'Built-in presets cannot be changed. Duplicate one to make your own.'
+            : 'Changes are saved to this preset right away.';
+    }
+
     switchTab(tab) {
         this.currentTab = tab;
         
@@ -266,6 +588,14 @@ class SoundExplorer {
         if (tab === 'hunt') {
             this.renderMissions();
         }
+
+        if (tab === 'mixer') {
+            this.mixer.show().catch(err => console.error('Could not open the mixer', err));
+        }
+
+        if (tab === 'sequencer') {
+            this.sequencer.show().catch(err => console.error('Could not open the sequencer', err));
+        }
     }
 
     async toggleRecording() {
@@ -277,25 +607,51 @@ class SoundExplorer {
         if (this.isRecording) {
             this.stopRecording();
         } else {
-            this.startRecording();
+            this.startRecording().catch(err => {
+                console.error('Could not start recording', err);
+                alert('Could not start recording. Please try again.');
+            });
+        }
+    }
+
+    // Rejects if the take could not be started; the recorder is then left ready for the next one
+    async startRecording(options = {}) {
+        try {
+            await this.beginRecording(options);
+        } catch (err) {
+            this.abortRecording();
+            throw err;
         }
     }
 
-    async startRecording() {
+    async beginRecording({ maxDuration = this.longFormEnabled ? null : this.recordingDuration, auto = null } = {}) {
         this.isRecording = true;
+        this.autoSave = auto;
         this.recordingStartTime = Date.now();
 
+        // Long takes are written to IndexedDB as they arrive so a crash or reload loses nothing
+        if (this.longFormEnabled) {
+            const takeId = Date.now().toString();
+            this.currentTakeId = takeId;
+            await this.storage.set('pendingTake', { takeId, startedAt: this.recordingStartTime, ...this.audioProcessor.getTakeFormat() });
+            this.audioProcessor.setLongForm(true, (blob, index) => {
+                this.storage.saveChunk(takeId, index, blob).catch(err => console.error('Could not save chunk', err));
+            });
+        } else {
+            this.currentTakeId = null;
+            this.audioProcessor.setLongForm(false);
+        }
+
         const recordBtn = document.getElementById('recordBtn');
         recordBtn.classList.add('recording');
-        recordBtn.querySelector('.record-text').textContent = 'RECORDING...';
+        recordBtn.querySelector('.record-text').textContent = auto ? 'AUTO RECORDING...' : 'RECORDING...';
 
         const timer = document.getElementById('recordingTimer');
         timer.classList.remove('hidden');
 
         // Update timer
-        const timerInterval = setInterval(() => {
-            const elapsed = Math.floor((Date.now() - this.recordingStartTime) / 1000);
-            document.getElementById('timerText').textContent = `${elapsed}s`;
+        this.timerInterval = setInterval(() => {
+            document.getElementById('timerText').textContent = this.formatDuration(Date.now() - this.recordingStartTime);
         }, 100);
 
         // Start recording audio
@@ -307,17 +663,27 @@ class SoundExplorer {
             this.audioProcessor.captureCharacteristic();
         }, 100);
 
-        // Auto-stop after duration
-        setTimeout(() => {
-            if (this.isRecording) {
-                clearInterval(timerInterval);
-                this.stopRecording();
-            }
-        }, this.recordingDuration);
+        // Auto-stop after duration (trigger captures usually end sooner, once the sound dies away)
+        if (maxDuration) {
+            this.autoStopTimeout = setTimeout(() => {
+                if (this.isRecording) this.stopRecording();
+            }, maxDuration);
+        }
     }
 
-    async stopRecording() {
+    abortRecording() {
+        this.autoSave = null;
+        this.endRecordingState();
+        this.audioProcessor.setLongForm(false);
+        if (this.currentTakeId) this.discardTake(this.currentTakeId);
+        this.currentTakeId = null;
+    }
+
+    // Timers and RECORD button back to idle (after a take, or one that failed to start)
+    endRecordingState() {
         this.isRecording = false;
+        clearInterval(this.timerInterval);
+        clearTimeout(this.autoStopTimeout);
         
         // Stop capturing characteristics
         if (this.characteristicInterval) {
@@ -330,10 +696,15 @@ class SoundExplorer {
         recordBtn.querySelector('.record-text').textContent = 'RECORD';
 
         document.getElementById('recordingTimer').classList.add('hidden');
+    }
+
+    async stopRecording() {
+        this.endRecordingState();
 
         // Get recording data
         const audioBlob = await this.audioProcessor.stopRecording();
         const thumbnail = this.audioProcessor.getCanvasThumbnail();
+        const preRollMs = this.audioProcessor.getPreRollMs();
 
         // Location tagging is disabled (removed from UI); leave location null
         const location = null;
@@ -344,14 +715,115 @@ class SoundExplorer {
             thumbnail,
             timestamp: Date.now(),
             location,
-            characteristics: this.audioProcessor.getRecordedCharacteristics(),
-            duration: Date.now() - this.recordingStartTime
+            features: this.audioProcessor.getRecordedFeatures(), // feature frames every 100 ms (see feature-extractor.js)
+            duration: Date.now() - this.recordingStartTime + preRollMs,
+            preRollMs,
+            captureMode: this.audioProcessor.captureMode, // 'worklet' = lossless float WAV
+            channels: this.audioProcessor.recordChannels,
+            sampleRate: this.audioProcessor.audioContext.sampleRate, // decode stored audio at its own rate
+            signalChain: this.audioProcessor.getPreset(), // how the sound was processed while capturing
+            levelStats: this.audioProcessor.getLevelStats(), // Leq/Lmax/L90 etc. (null if not metered)
+            takeId: this.currentTakeId // chunks to clean up once saved or discarded
         };
+        this.currentTakeId = null;
+
+        // Unattended captures go straight to storage
+        if (this.autoSave) {
+            const details = typeof this.autoSave === 'function' ? this.autoSave(this.currentRecording) : this.autoSave;
+            this.autoSave = null;
+            await this.saveRecording(details);
+            return;
+        }
 
         // Show camera modal
         this.showCameraModal();
     }
 
+    toggleTrigger() {
+        if (!this.audioProcessor || !this.audioProcessor.isVisualizing) {
+            alert('Press START LISTENING first to enable the microphone.');
+            return;
+        }
+
+        if (this.triggerArmed) {
+            this.disarmTrigger();
+            return;
+        }
+        this.triggerArmed = true;
+        this.audioProcessor.armTrigger({
+            ...this.triggerSettings,
+            onStart: () => {
+                // Never interrupt a manual take or a sound waiting in the label modal
+                if (this.isRecording || this.currentRecording) return false;
+                this.startRecording({
+                    maxDuration: this.triggerSettings.maxMs,
+                    auto: (rec) => ({
+                        label: `Auto ${new Date(rec.timestamp).toLocaleTimeString()}`,
+                        tags: [...new Set(['auto', ...this.audioProcessor.getSuggestedTags(rec.features)])],
+                        photoDataUrl: null
+                    })
+                }).catch(err => console.error('Triggered capture failed to start', err));
+            },
+            onStop: () => this.isRecording ? this.stopRecording() : null
+        });
+        // The level is only checked while the page is showing, so keep the screen from sleeping
+        this.requestWakeLock();
+        this.updateTriggerUI();
+    }
+
+    disarmTrigger() {
+        this.triggerArmed = false;
+        this.audioProcessor.disarmTrigger();
+        if (!this.monitorSession) this.releaseWakeLock();
+        this.updateTriggerUI();
+    }
+
+    updateTriggerUI() {
+        const { threshold, holdMs, maxMs } = this.triggerSettings;
+        const btn = document.getElementById('triggerBtn');
+        btn.classList.toggle('active', this.triggerArmed);
+        btn.querySelector('.trigger-text').textContent = this.triggerArmed ? 'WAITING FOR A SOUND...' : 'LISTEN & WAIT';
+        document.getElementById('triggerThresholdValue').textContent = `${Math.round(meterToDb(threshold))} dBFS`;
+        document.getElementById('triggerHoldValue').textContent = `${holdMs / 1000}s`;
+        document.getElementById('triggerMaxValue').textContent = `${maxMs / 1000}s`;
+        const line = document.getElementById('levelThreshold');
+        line.style.bottom = `${threshold * 100}%`;
+        line.classList.toggle('hidden', !this.triggerArmed);
+    }
+
+    // Three seconds of background noise, kept as a profile the player's noise clean-up can use
+    async captureRoomTone() {
+        if (!this.audioProcessor || !this.audioProcessor.isVisualizing) {
+            alert('Press START LISTENING first to enable the microphone.');
+            return;
+        }
+        if (this.capturingRoomTone) return;
+        this.capturingRoomTone = true;
+        this.updateRoomToneUI();
+        try {
+            const profile = await this.audioProcessor.captureRoomTone(3);
+            if (profile) {
+                this.roomTone = { profile, capturedAt: Date.now() };
+                await this.storage.set('roomTone', this.roomTone);
+            }
+        } catch (err) {
+            console.error('Room tone capture failed', err);
+        } finally {
+            this.capturingRoomTone = false;
+            this.updateRoomToneUI();
+        }
+    }
+
+    updateRoomToneUI() {
+        const btn = document.getElementById('roomToneBtn');
+        btn.classList.toggle('active', !!this.capturingRoomTone);
+        btn.querySelector('.trigger-text').textContent = this.capturingRoomTone ? 'SHHH... LISTENING' : 'CAPTURE ROOM TONE';
+        if (this.roomTone) {
+            document.getElementById('roomToneStatus').textContent =
+                `Room tone saved ${new Date(this.roomTone.capturedAt).toLocaleString()}. Capture again whenever you move somewhere new.`;
+        }
+    }
+
     async showCameraModal() {
         const modal = document.getElementById('cameraModal');
         modal.classList.remove('hidden');
@@ -418,26 +890,232 @@ class SoundExplorer {
         // Reset tags
         document.querySelectorAll('.tag-btn').forEach(btn => {
             btn.classList.remove('active');
+            btn.querySelector('.tag-confidence')?.remove();
         });
+        this.suggestTags();
+    }
+
+    // Pre-select tags for the new sound. Learned from the user's own tagged sounds (retrained every time,
+    // so it improves as more are tagged); until there are enough of those, fall back to the loudness/steadiness rules.
+    suggestTags() {
+        const box = document.getElementById('suggestedTags');
+        const frames = this.currentRecording?.features || [];
+        const buttons = Array.from(document.querySelectorAll('#tagPicker .tag-btn'));
+        const vocabulary = buttons.map(btn => btn.dataset.tag);
+        box.classList.add('hidden');
+        if (!frames.length) return;
+
+        const classifier = new TagClassifier(vocabulary).train(this.recordings);
+        const suggestions = classifier.ready
+            ? classifier.suggest(frames)
+            : this.audioProcessor.getSuggestedTags(frames)
+                .filter(tag => vocabulary.includes(tag))
+                .map(tag => ({ tag, confidence: null }));
+
+        const picked = suggestions.filter(s => s.confidence === null || s.confidence >= SUGGEST_THRESHOLD);
+        picked.forEach(({ tag, confidence }) => {
+            const btn = buttons.find(b => b.dataset.tag === tag);
+            btn.classList.add('active');
+            if (confidence !== null) {
+                btn.insertAdjacentHTML('beforeend', `<span class="tag-confidence">${Math.round(confidence * 100)}%</span>`);
+            }
+        });
+        if (!picked.length) return;
+        box.textContent = classifier.ready
+            ? `✨ Picked for you by comparing with your ${classifier.size} tagged sound${classifier.size === 1 ? '' : 's'}. Tap to change!`
+            : '✨ Picked for you from how loud and steady it was. Tag more sounds and the guesses get smarter!';
+        box.classList.remove('hidden');
     }
 
     closeLabelModal() {
         document.getElementById('labelModal').classList.add('hidden');
+        if (this.currentRecording?.takeId) this.discardTake(this.currentRecording.takeId);
         this.currentRecording = null;
         this.currentPhotoDataUrl = null;
     }
 
-    async saveRecording() {
-        const label = document.getElementById('labelInput').value.trim() || 'Untitled Sound';
-        const tags = Array.from(document.querySelectorAll('.tag-btn.active'))
+    async toggleMonitorSession() {
+        if (this.monitorSession) {
+            this.monitorSession.stop();
+            return;
+        }
+        if (!this.audioProcessor || !this.audioProcessor.isVisualizing) {
+            alert('Press START LISTENING first to enable the microphone.');
+            return;
+        }
+
+        const { captureSeconds, intervalMinutes, windowHours } = this.monitorSettings;
+        const session = new MonitorSession({
+            captureMs: captureSeconds * 1000,
+            intervalMs: intervalMinutes * 60000,
+            windowMs: windowHours * 3600000,
+            onCapture: (s) => {
+                if (this.isRecording || this.currentRecording) return false;
+                const started = this.startRecording({
+                    maxDuration: s.captureMs,
+                    auto: (rec) => ({
+                        label: `Monitor ${new Date(rec.timestamp).toLocaleTimeString()}`,
+                        tags: [...new Set(['monitor', ...this.audioProcessor.getSuggestedTags(rec.features)])],
+                        photoDataUrl: null,
+                        extra: { sessionId: s.id }
+                    })
+                }).then(() => true, err => {
+                    console.error('Monitor capture failed to start', err);
+                    return false;
+                });
+                this.updateMonitorUI();
+                return started;
+            },
+            onEnd: async (s) => {
+                this.monitorSession = null;
+                clearInterval(this.monitorStatusInterval);
+                if (!this.triggerArmed) this.releaseWakeLock();
+                await this.saveMonitorSession(s);
+                this.updateMonitorUI();
+            }
+        });
+
+        this.monitorSession = session;
+        session.start();
+        await this.saveMonitorSession(session);
+        this.requestWakeLock();
+        this.monitorStatusInterval = setInterval(() => this.updateMonitorUI(), 1000);
+        this.updateMonitorUI();
+    }
+
+    async saveMonitorSession(session) {
+        const summary = session.toJSON();
+        this.monitorSessions = this.monitorSessions.filter(s => s.id !== summary.id).concat(summary);
+        await this.storage.set('monitorSessions', this.monitorSessions);
+    }
+
+    // Keep the screen on during unattended sessions and while the trigger waits (not supported everywhere)
+    async requestWakeLock() {
+        if (this.wakeLock && !this.wakeLock.released) return;
+        try {
+            if ('wakeLock' in navigator) this.wakeLock = await navigator.wakeLock.request('screen');
+        } catch (err) {
+            console.warn('Wake lock unavailable:', err);
+        }
+    }
+
+    releaseWakeLock() {
+        if (this.wakeLock) { this.wakeLock.release().catch(() => {}); this.wakeLock = null; }
+    }
+
+    updateMonitorUI() {
+        const { captureSeconds, intervalMinutes, windowHours } = this.monitorSettings;
+        document.getElementById('monitorCaptureValue').textContent = `${captureSeconds}s`;
+        document.getElementById('monitorIntervalValue').textContent = `${intervalMinutes} min`;
+        document.getElementById('monitorWindowValue').textContent = `${windowHours} h`;
+
+        const btn = document.getElementById('monitorBtn');
+        const status = document.getElementById('monitorStatus');
+        const session = this.monitorSession;
+        btn.classList.toggle('active', !!session);
+        btn.querySelector('.trigger-text').textContent = session ? 'STOP SESSION' : 'START SESSION';
+        if (!session) {
+            status.textContent = '';
+            return;
+        }
+        const next = Math.max(0, Math.round((session.nextCaptureAt - Date.now()) / 1000));
+        const left = Math.max(0, Math.round((session.endsAt - Date.now()) / 60000));
+        status.textContent = this.isRecording
+            ? `Recording... ${session.captureCount} captured, ${left} min left`
+            : `Next in ${Math.floor(next / 60)}:${String(next % 60).padStart(2, '0')} • ${session.captureCount} captured • ${left} min left`;
+    }
+
+    openSessionSummary() {
+        const select = document.getElementById('sessionSelect');
+        const sessions = [...this.monitorSessions].sort((a, b) => b.startedAt - a.startedAt);
+        select.innerHTML = sessions.map(s => `
+            <option value="${s.id}">${new Date(s.startedAt).toLocaleString()}${s.endedAt ? '' : ' (running)'}</option>
+        `).join('');
+        document.getElementById('sessionModal').classList.remove('hidden');
+        this.renderSessionSummary(sessions[0]?.id);
+    }
+
+    renderSessionSummary(sessionId) {
+        const list = document.getElementById('sessionCaptures');
+        const canvas = document.getElementById('sessionChart');
+        const session = this.monitorSessions.find(s => s.id === sessionId);
+        const captures = this.recordings
+            .filter(r => r.sessionId === sessionId)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        if (!session) {
+            list.innerHTML = '<p class="setting-help">No monitoring sessions yet.</p>';
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            return;
+        }
+
+        list.innerHTML = captures.length ? captures.map(rec => `
+            <div class="session-capture">
+                <span>${new Date(rec.timestamp).toLocaleTimeString()} • ${Math.round(rec.duration / 1000)}s • ${rec.tags.join(', ')}</span>
+                <button class="btn-play" data-id="${rec.id}"><span>▶️ Play</span></button>
+            </div>
+        `).join('') : '<p class="setting-help">No captures saved in this session.</p>';
+        list.querySelectorAll('.btn-play').forEach(btn => {
+            btn.addEventListener('click', () => this.playRecording(btn.dataset.id));
+        });
+
+        this.drawSessionChart(canvas, session, captures);
+    }
+
+    // Plot getSoundCharacteristics() RMS levels (sampled every 100 ms) against wall-clock time
+    drawSessionChart(canvas, session, captures) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.clientWidth || 600;
+        const height = canvas.height = 200;
+        const pad = { left: 36, right: 8, top: 8, bottom: 24 };
+        ctx.clearRect(0, 0, width, height);
+
+        const start = session.startedAt;
+        const end = Math.max(session.endedAt || Date.now(), ...captures.map(r => r.timestamp), start + 1);
+        const x = (t) => pad.left + ((t - start) / (end - start)) * (width - pad.left - pad.right);
+        const floor = -80; // dBFS at the bottom of the chart
+        const y = (db) => height - pad.bottom - (Math.max(floor, Math.min(0, db)) - floor) / -floor * (height - pad.top - pad.bottom);
+
+        ctx.strokeStyle = '#e5e7eb';
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '11px Noto Sans, sans-serif';
+        ctx.lineWidth = 1;
+        [-80, -60, -40, -20, 0].forEach(db => {
+            ctx.beginPath(); ctx.moveTo(pad.left, y(db)); ctx.lineTo(width - pad.right, y(db)); ctx.stroke();
+            ctx.fillText(`${db}`, 2, y(db) + 4);
+        });
+        ctx.fillText(new Date(start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }), pad.left, height - 6);
+        const endLabel = new Date(end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        ctx.fillText(endLabel, width - pad.right - ctx.measureText(endLabel).width, height - 6);
+
+        ctx.strokeStyle = '#a78bfa';
+        ctx.lineWidth = 2;
+        captures.forEach(rec => {
+            const frames = rec.features || [];
+            const recStart = rec.timestamp - rec.duration;
+            ctx.beginPath();
+            frames.forEach((f, i) => {
+                const px = x(recStart + (f.t ?? i * 100)), py = y(f.rmsDb);
+                if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+        });
+    }
+
+    // details = { label, tags, photoDataUrl, extra } for unattended captures that skip the modals
+    async saveRecording(details = null) {
+        const label = details ? details.label : (document.getElementById('labelInput').value.trim() || 'Untitled Sound');
+        const tags = details ? details.tags : Array.from(document.querySelectorAll('.tag-btn.active'))
             .map(btn => btn.dataset.tag);
 
+        const { takeId, ...currentRecording } = this.currentRecording;
         const recording = {
-            ...this.currentRecording,
+            ...currentRecording,
+            ...(details?.extra || {}),
             label,
             tags,
             id: Date.now().toString(),
-            photoDataUrl: this.currentPhotoDataUrl
+            photoDataUrl: details ? details.photoDataUrl || null : this.currentPhotoDataUrl
         };
 
         // Save to storage
@@ -446,11 +1124,102 @@ class SoundExplorer {
 
         this.closeLabelModal();
         
-        // Check missions
-        this.checkMissions(recording);
+        // Missions that only need the live features are checked straight away, so a sound that can't be
+        // decoded still counts. The rhythm ones wait for the audio to be measured and the live-canvas
+        // thumbnail replaced; recovered takes have no live features yet, so they wait for everything.
+        const needsFeatures = !recording.features?.length;
+        const badge = needsFeatures ? null : this.checkMissions(recording, { missions: this.missions.filter(m => !m.needsRhythm) });
+        this.analyzeRecording(recording, { features: needsFeatures })
+            .then(() => {
+                if (!badge) this.checkMissions(recording, { missions: needsFeatures ? this.missions : this.missions.filter(m => m.needsRhythm) });
+                if (this.currentTab === 'gallery') this.renderGallery();
+                if (this.currentTab === 'map') this.renderMap();
+            })
+            .catch(err => console.error('Could not analyze recording', err));
+
+        if (details) {
+            if (this.currentTab === 'gallery') this.renderGallery();
+            return recording;
+        }
 
         // Switch to gallery to show the new recording
         this.switchTab('gallery');
+        return recording;
+    }
+
+    async discardTake(takeId) {
+        try {
+            await this.storage.deleteChunks(takeId);
+            const pending = await this.storage.get('pendingTake');
+            if (pending?.takeId === takeId) await this.storage.set('pendingTake', null);
+        } catch (err) {
+            console.error('Could not clean up recording chunks', err);
+        }
+    }
+
+    // Rebuild a long take that never reached saveRecording (tab crashed or reloaded) and offer to save it
+    async recoverPendingTake() {
+        const pending = await this.storage.get('pendingTake');
+        if (!pending) return;
+        const chunks = await this.storage.getChunks(pending.takeId);
+        if (!chunks.length) {
+            await this.discardTake(pending.takeId);
+            return;
+        }
+
+        let audioBlob, duration;
+        if (pending.captureMode === 'worklet') {
+            const dataSize = chunks.reduce((n, b) => n + b.size, 0);
+            const header = createWavHeader(dataSize, pending.sampleRate, pending.channelCount, { float: true });
+            audioBlob = new Blob([header, ...chunks], { type: 'audio/wav' });
+            duration = Math.round(dataSize / (pending.sampleRate * pending.channelCount * 4) * 1000);
+        } else {
+            audioBlob = new Blob(chunks, { type: pending.mimeType });
+            // Compressed chunks don't say how long they are (and the last one is partial), so ask the decoder;
+            // one second per chunk is only a guess for a take too damaged to decode
+            try {
+                duration = Math.round((await decodeBlob(audioBlob, { sampleRate: pending.sampleRate })).duration * 1000);
+            } catch (err) {
+                console.warn('Could not decode the recovered take; estimating its length', err);
+                duration = chunks.length * 1000;
+            }
+        }
+
+        const modal = document.getElementById('confirmModal');
+        const cancelBtn = document.getElementById('confirmCancel');
+        document.getElementById('confirmMessage').textContent =
+            `An unfinished recording from ${new Date(pending.startedAt).toLocaleString()} (${this.formatDuration(duration)}) was found. Save it?`;
+        modal.classList.remove('hidden');
+
+        document.getElementById('confirmOk').onclick = () => {
+            cancelBtn.onclick = null;
+            modal.classList.add('hidden');
+            this.currentRecording = {
+                audioBlob,
+                thumbnail: null,
+                timestamp: pending.startedAt + duration,
+                location: null,
+                features: [],
+                duration,
+                captureMode: pending.captureMode,
+                channels: pending.channelCount || 1,
+                sampleRate: pending.sampleRate,
+                recovered: true,
+                takeId: pending.takeId
+            };
+            this.currentPhotoDataUrl = null;
+            this.showLabelModal();
+        };
+        cancelBtn.onclick = () => {
+            cancelBtn.onclick = null;
+            this.discardTake(pending.takeId);
+        };
+    }
+
+    formatDuration(ms) {
+        const total = Math.floor((ms || 0) / 1000);
+        const minutes = Math.floor(total / 60);
+        return minutes ? `${minutes}:${String(total % 60).padStart(2, '0')}` : `${total}s`;
     }
 
     showPhoto(id) {
@@ -461,15 +1230,104 @@ class SoundExplorer {
         document.getElementById('photoViewModal').classList.remove('hidden');
     }
 
-    checkMissions(recording) {
+    // Decode a saved sound (with its edits) and recompute its features, level stats, rhythm and soundscape indices
+    // from the audio itself, faster than real time. thumbnail renders its spectrogram image (by default only if it doesn't have one yet).
+    async analyzeRecording(recording, { features = true, thumbnail = recording.thumbnailKind !== 'spectrogram', onProgress = null } = {}) {
+        const buffer = await getPlaybackBuffer(recording);
+        const result = await analyzeBuffer(buffer, {
+            features,
+            spectrogramColumns: thumbnail ? plotColumns() : 0,
+            meterConfig: this.getMeterConfig(),
+            onProgress
+        });
+        if (features) {
+            recording.features = result.features;
+            recording.levelStats = result.levelStats;
+            recording.analyzedAt = Date.now();
+        }
+        // Rhythm needs the 10 ms onset envelope, which live capture doesn't keep, so it always comes from the audio
+        recording.rhythm = analyzeRhythm(buffer);
+        recording.fingerprint = computeFingerprint(recording.features, recording.rhythm);
+        recording.ecoIndices = computeEcoIndices(buffer);
+        // Unattended captures are tagged automatically; "rhythmic" can only be added once the rhythm is known
+        if (isRhythmic(recording.rhythm) && ['auto', 'monitor'].some(tag => recording.tags.includes(tag))) {
+            recording.tags = [...new Set([...recording.tags, 'rhythmic'])];
+        }
+        if (thumbnail) {
+            recording.thumbnail = renderSpectrogramImage(result.spectrogram, {
+                annotations: editedAnnotations(recording.annotations || [], recording.edits || [])
+            });
+            recording.thumbnailKind = 'spectrogram'; // older records hold a snapshot of the live canvas
+        }
+        recording.duration = Math.round(buffer.duration * 1000); // follows trims
+        await this.storage.saveRecording(recording);
+        return recording;
+    }
+
+    // Re-analyze saved sounds one at a time and re-run missions over them.
+    // onlyMissing skips sounds that already have everything analyzeRecording() measures (used after import);
+    // thumbnailsOnly just redraws every spectrogram thumbnail.
+    async reanalyzeLibrary({ onlyMissing = false, thumbnailsOnly = false } = {}) {
+        if (this.reanalyzing) return;
+        const analyzed = (r) => r.features?.length && r.rhythm && r.fingerprint && r.ecoIndices;
+        const queue = this.recordings.filter(r => r.audioBlob && !(onlyMissing && analyzed(r)));
+        if (!queue.length) return;
+        this.reanalyzing = true;
+
+        const buttons = [document.getElementById('reanalyzeBtn'), document.getElementById('regenerateThumbsBtn')];
+        const progress = document.getElementById('reanalyzeProgress');
+        const status = document.getElementById('reanalyzeStatus');
+        buttons.forEach(btn => { btn.disabled = true; });
+        progress.value = 0;
+        progress.classList.remove('hidden');
+
+        const earned = [];
+        let failed = 0;
+        for (let i = 0; i < queue.length; i++) {
+            const recording = queue[i];
+            status.textContent = `${thumbnailsOnly ? 'Drawing' : 'Analyzing'} ${i + 1} of ${queue.length}: ${recording.label}`;
+            try {
+                await this.analyzeRecording(recording, {
+                    ...(thumbnailsOnly ? { features: false, thumbnail: true } : {}),
+                    onProgress: (p) => { progress.value = (i + p) / queue.length; }
+                });
+            } catch (err) {
+                console.error('Could not analyze recording', recording.id, err);
+                failed++;
+                continue;
+            }
+            if (thumbnailsOnly || recording.derivedFrom) continue;
+            const mission = this.checkMissions(recording, { silent: true });
+            if (mission) earned.push(mission);
+        }
+
+        progress.value = 1;
+        progress.classList.add('hidden');
+        buttons.forEach(btn => { btn.disabled = false; });
+        this.reanalyzing = false;
+
+        const parts = [`${thumbnailsOnly ? 'Redrew' : 'Analyzed'} ${queue.length - failed} of ${queue.length} sounds.`];
+        if (failed) parts.push(`${failed} could not be decoded.`);
+        if (earned.length) parts.push(`New badges: ${earned.map(m => `${m.icon} ${m.name}`).join(', ')}`);
+        status.textContent = parts.join(' ');
+
+        if (this.currentTab === 'gallery') this.renderGallery();
+        if (this.currentTab === 'map') this.renderMap();
+        if (earned.length) this.showBadgePopup(earned[0]);
+    }
+
+    // Returns the mission earned (if any); silent skips the badge popup, missions narrows which are checked
+    checkMissions(recording, { silent = false, missions = this.missions } = {}) {
         let bestMatch = null;
         
-        for (const mission of this.missions) {
+        for (const mission of missions) {
             // Skip if already completed
             if (this.completedMissions.includes(mission.id)) continue;
             
             // Check if this recording matches the mission
-            const matches = mission.check(recording.characteristics, recording.duration);
+            const frames = recording.features || [];
+            const summary = summarizeFeatures(frames);
+            const matches = !!summary && mission.check(summary, frames, recording);
             
             if (matches) {
                 // Take the first matching mission as the best match
@@ -486,8 +1344,9 @@ class SoundExplorer {
             this.storage.set('completedMissions', this.completedMissions);
             
             // Show badge popup for the earned mission
-            this.showBadgePopup(bestMatch);
+            if (!silent) this.showBadgePopup(bestMatch);
         }
+        return bestMatch;
     }
 
     showBadgePopup(mission) {
@@ -515,6 +1374,56 @@ class SoundExplorer {
             document.getElementById('recordingLengthValue').textContent = `${duration / 1000} seconds`;
         }
 
+        const trigger = await this.storage.get('triggerSettings');
+        if (trigger) this.triggerSettings = { ...this.triggerSettings, ...trigger };
+        document.getElementById('triggerThreshold').value = Math.round(this.triggerSettings.threshold * 100);
+        document.getElementById('triggerHold').value = this.triggerSettings.holdMs / 1000;
+        document.getElementById('triggerMax').value = this.triggerSettings.maxMs / 1000;
+        this.updateTriggerUI();
+
+        const monitor = await this.storage.get('monitorSettings');
+        if (monitor) this.monitorSettings = { ...this.monitorSettings, ...monitor };
+        document.getElementById('monitorCapture').value = this.monitorSettings.captureSeconds;
+        document.getElementById('monitorInterval').value = this.monitorSettings.intervalMinutes;
+        document.getElementById('monitorWindow').value = this.monitorSettings.windowHours;
+        this.monitorSessions = (await this.storage.get('monitorSessions')) || [];
+        // A session cannot survive a reload; close out any that were still marked running
+        this.monitorSessions.forEach(s => { if (!s.endedAt) s.endedAt = s.startedAt + s.windowMs; });
+        this.updateMonitorUI();
+
+        this.roomTone = (await this.storage.get('roomTone')) || null;
+        this.updateRoomToneUI();
+
+        const preRoll = await this.storage.get('preRollSeconds');
+        if (preRoll !== undefined && preRoll !== null) {
+            this.preRollSeconds = preRoll;
+            document.getElementById('preRollLength').value = preRoll;
+            document.getElementById('preRollLengthValue').textContent = `${preRoll} seconds`;
+        }
+
+        const meter = await this.storage.get('meterSettings');
+        if (meter) this.meterSettings = { ...this.meterSettings, ...meter };
+        this.renderMeterSettings();
+
+        const spectrogram = await this.storage.get('spectrogramSettings');
+        if (spectrogram) this.spectrogramSettings = { ...this.spectrogramSettings, ...spectrogram };
+        this.renderSpectrogramSettings();
+
+        this.vizMode = (await this.storage.get('vizMode')) || DEFAULT_VISUALIZER_MODE;
+        this.renderVizModes();
+
+        const userPresets = (await this.storage.get('signalPresets')) || [];
+        this.presets = DEFAULT_PRESETS.map(clonePreset).concat(userPresets);
+        this.activePresetId = (await this.storage.get('activePresetId')) || DEFAULT_PRESET_ID;
+        this.renderPresetEditor();
+
+        const input = await this.storage.get('inputSettings');
+        if (input) this.inputSettings = { ...this.inputSettings, ...input };
+
+        this.longFormEnabled = !!(await this.storage.get('longFormEnabled'));
+        document.getElementById('longFormToggle').checked = this.longFormEnabled;
+        document.getElementById('recordingLength').disabled = this.longFormEnabled;
+
         // geolocation setting removed; ignore stored value if any
 
         this.mapBackgroundUrl = await this.storage.get('mapBackground');
@@ -545,6 +1454,18 @@ class SoundExplorer {
     renderGallery() {
         const grid = document.getElementById('galleryGrid');
         
+        // "More like this": the chosen sound first, then its closest matches by similarity
+        const banner = document.getElementById('similarBanner');
+        let shown = this.recordings;
+        const target = this.similarTo && this.recordings.find(r => r.id === this.similarTo.id);
+        if (!target) this.similarTo = null; // the chosen sound was deleted
+        if (this.similarTo) {
+            shown = [target, ...this.recordings.filter(r => this.similarTo.scores.has(r.id))
+                .sort((a, b) => this.similarTo.scores.get(b.id) - this.similarTo.scores.get(a.id))];
+            document.getElementById('similarBannerText').textContent = `Sounds most like “${target.label}”`;
+        }
+        banner.classList.toggle('hidden', !this.similarTo);
+
         if (this.recordings.length === 0) {
             grid.innerHTML = `
                 <div class="empty-state">
@@ -556,16 +1477,31 @@ class SoundExplorer {
             return;
         }
 
-        grid.innerHTML = this.recordings.map(rec => `
-            <div class="sound-card" data-id="${rec.id}">
-                <img src="${rec.thumbnail}" alt="${rec.label}" class="sound-card-image">
+        grid.innerHTML = shown.map(rec => {
+            const summary = summarizeFeatures(rec.features);
+            const score = this.similarTo?.scores.get(rec.id);
+            return `
+            <div class="sound-card" data-id="${rec.id}" data-features="${describeFeatures(summary).join(' ')}"
+                 data-pitch-min="${summary?.pitchMin ?? ''}" data-pitch-max="${summary?.pitchMax ?? ''}" data-notes="${summary ? summary.notes.join(' ') : ''}">
+                <img src="${rec.thumbnail || ''}" alt="${rec.label}" class="sound-card-image">
                 ${rec.photoDataUrl ? `<button class="btn-show-photo" data-id="${rec.id}" aria-label="Show photo">📷</button>` : ''}
                 <div class="sound-card-content">
+                    ${this.similarTo?.id === rec.id ? '<div class="similarity-score similarity-target">🎯 This sound</div>' : ''}
+                    ${score !== undefined ? `<div class="similarity-score">🔗 ${Math.round(score * 100)}% alike</div>` : ''}
                     <h3 class="sound-card-label">${rec.label}</h3>
                     <div class="sound-card-meta">
                         <span>📅 ${new Date(rec.timestamp).toLocaleDateString()}</span>
+                        <span>⏱ ${this.formatDuration(rec.duration)}</span>
+                        ${rec.channels === 2 ? '<span>🎧 Stereo</span>' : ''}
+                        ${rec.signalChain ? `<span title="${describePreset(rec.signalChain)}">🎛 ${rec.signalChain.name}</span>` : ''}
                         ${rec.location ? '<span>📍 Location</span>' : ''}
+                        ${rec.edits?.length ? '<span title="Trimmed, faded or made louder">✂️ Edited</span>' : ''}
+                        ${rec.derivedFrom ? `<button class="chip-link btn-source" data-id="${rec.derivedFrom.id}" title="Sound Lab: ${rec.derivedFrom.description}">🧪 From ${rec.derivedFrom.label}</button>` : ''}
+                        ${rec.annotations?.length ? `<span>📝 ${rec.annotations.length} note${rec.annotations.length === 1 ? '' : 's'}</span>` : ''}
+                        ${isRhythmic(rec.rhythm) ? `<span title="Repeats per minute">🥁 ${rec.rhythm.bpm} BPM</span>` : ''}
+                        ${summary?.pitchHz && summary.voiced >= 0.3 ? `<span title="Typical pitch">🎵 ${summary.pitchHz} Hz • ${hzToNote(summary.pitchHz).name}</span>` : ''}
                     </div>
+                    ${rec.levelStats ? `<div class="sound-card-meta">${this.formatLevelStats(rec.levelStats)}</div>` : ''}
                     <div class="sound-card-tags">
                         ${rec.tags.map(tag => `<span class="tag-chip">${tag}</span>`).join('')}
                     </div>
@@ -573,17 +1509,35 @@ class SoundExplorer {
                         <button class="btn-play" data-id="${rec.id}">
                             <span>▶️ Play</span>
                         </button>
+                        <button class="btn-secondary btn-explore" data-id="${rec.id}" aria-label="Open player">🔍 Explore</button>
+                        <button class="btn-secondary btn-similar" data-id="${rec.id}" aria-label="Find sounds like this one">🔗 More like this</button>
                         <button class="btn-secondary btn-delete" data-id="${rec.id}">🗑️ Delete</button>
                     </div>
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
 
         // Add play button listeners
         grid.querySelectorAll('.btn-play').forEach(btn => {
             btn.addEventListener('click', () => this.playRecording(btn.dataset.id));
         });
 
+        grid.querySelectorAll('.btn-explore').forEach(btn => {
+            btn.addEventListener('click', () => this.openPlayer(btn.dataset.id));
+        });
+
+        grid.querySelectorAll('.btn-source').forEach(btn => {
+            const exists = this.recordings.some(r => r.id === btn.dataset.id);
+            btn.disabled = !exists;
+            if (!exists) btn.title += ' (the original was deleted)';
+            btn.addEventListener('click', () => this.openPlayer(btn.dataset.id));
+        });
+
+        grid.querySelectorAll('.btn-similar').forEach(btn => {
+            btn.addEventListener('click', () => this.showSimilar(btn.dataset.id));
+        });
+
         grid.querySelectorAll('.btn-delete').forEach(btn => {
             btn.addEventListener('click', () => this.promptDeleteRecording(btn.dataset.id));
         });
@@ -606,27 +1560,79 @@ class SoundExplorer {
                 this.filterGalleryByTags();
             });
         });
+
+        // Sound-type filters come from each recording's measured features, not its hand tags
+        const featureContainer = document.getElementById('featureFilters');
+        featureContainer.innerHTML = DESCRIPTORS.map(d => `
+            <button class="filter-tag filter-feature" data-feature="${d}">${d}</button>
+        `).join('');
+        featureContainer.querySelectorAll('.filter-feature').forEach(btn => {
+            btn.addEventListener('click', () => {
+                btn.classList.toggle('active');
+                this.filterGalleryByTags();
+            });
+        });
+    }
+
+    // Rank the library by acoustic similarity to one sound and show the closest few as a filtered gallery
+    showSimilar(id) {
+        const target = this.recordings.find(r => r.id === id);
+        if (!target) return;
+        const ranked = rankSimilar(target, this.recordings);
+        if (!ranked.length) {
+            alert(target.features?.length
+                ? 'Record or import a few more sounds to compare with!'
+                : 'This sound has not been measured yet. Try Re-analyze in Settings.');
+            return;
+        }
+        const closest = ranked.filter(r => r.score >= MIN_SIMILAR_SCORE).slice(0, SIMILAR_LIMIT);
+        if (!closest.length) {
+            alert('Nothing in your library sounds much like this one yet.');
+            return;
+        }
+        this.similarTo = { id, scores: new Map(closest.map(r => [r.id, r.score])) };
+        if (this.currentTab === 'gallery') this.renderGallery();
+        else this.switchTab('gallery');
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    clearSimilar() {
+        this.similarTo = null;
+        this.renderGallery();
     }
 
     filterGallery(searchTerm) {
+        const term = searchTerm.trim().toLowerCase();
+        // Pitch searches: a note name ("A4", "c#5") or a frequency ("440 hz")
+        const noteTerm = /^[a-g]#?\d$/.test(term) ? term : null;
+        const hzMatch = term.match(/^(\d+(?:\.\d+)?)\s*hz$/);
+        const hzTerm = hzMatch ? parseFloat(hzMatch[1]) : null;
+
         const cards = document.querySelectorAll('.sound-card');
         cards.forEach(card => {
             const label = card.querySelector('.sound-card-label').textContent.toLowerCase();
             const tags = Array.from(card.querySelectorAll('.tag-chip'))
                 .map(t => t.textContent.toLowerCase());
+            const notes = (card.dataset.notes || '').toLowerCase().split(' ');
+            const pitchMin = parseFloat(card.dataset.pitchMin);
+            const pitchMax = parseFloat(card.dataset.pitchMax);
             
-            const matches = label.includes(searchTerm.toLowerCase()) ||
-                          tags.some(tag => tag.includes(searchTerm.toLowerCase()));
+            const matches = label.includes(term) ||
+                          tags.some(tag => tag.includes(term)) ||
+                          (noteTerm && notes.includes(noteTerm)) ||
+                          (hzTerm !== null && hzTerm >= pitchMin * 0.97 && hzTerm <= pitchMax * 1.03);
             
             card.style.display = matches ? 'block' : 'none';
         });
     }
 
     filterGalleryByTags() {
-        const activeTags = Array.from(document.querySelectorAll('.filter-tag.active'))
+        const activeTags = Array.from(document.querySelectorAll('.filter-tag.active[data-tag]'))
             .map(btn => btn.dataset.tag);
+        const activeFeatures = Array.from(document.querySelectorAll('.filter-feature.active'))
+            .map(btn => btn.dataset.feature);
 
-        if (activeTags.length === 0) {
+        if (activeTags.length === 0 && activeFeatures.length === 0) {
             document.querySelectorAll('.sound-card').forEach(card => {
                 card.style.display = 'block';
             });
@@ -636,9 +1642,12 @@ class SoundExplorer {
         document.querySelectorAll('.sound-card').forEach(card => {
             const cardTags = Array.from(card.querySelectorAll('.tag-chip'))
                 .map(t => t.textContent);
+            const cardFeatures = (card.dataset.features || '').split(' ');
             
-            const matches = activeTags.some(tag => cardTags.includes(tag));
-            card.style.display = matches ? 'block' : 'none';
+            // Any selected tag, and every selected sound type
+            const matchesTags = activeTags.length === 0 || activeTags.some(tag => cardTags.includes(tag));
+            const matchesFeatures = activeFeatures.every(f => cardFeatures.includes(f));
+            card.style.display = matchesTags && matchesFeatures ? 'block' : 'none';
         });
     }
 
@@ -647,13 +1656,91 @@ class SoundExplorer {
         if (!recording) return;
         if (this.currentAudio) { this.currentAudio.pause(); this.currentAudio = null; }
         const btn = document.querySelector(`.btn-play[data-id="${id}"]`);
-        const audio = new Audio(URL.createObjectURL(recording.audioBlob));
+        const audio = new Audio(URL.createObjectURL(await getPlaybackBlob(recording)));
         this.currentAudio = audio; this.activeAudios.add(audio);
         if (btn) { btn.classList.add('playing'); btn.innerHTML = '<span>⏸️ Playing</span>'; }
         audio.play();
         audio.onended = () => { this.activeAudios.delete(audio); if (btn) { btn.classList.remove('playing'); btn.innerHTML = '<span>▶️ Play</span>'; } this.currentAudio = null; };
     }
 
+    openPlayer(id) {
+        const recording = this.recordings.find(r => r.id === id);
+        if (!recording) return;
+        this.pauseAllSounds();
+        if (!this.player) {
+            this.player = new RecordingPlayer({
+                onPlay: (player) => this.activeAudios.add(player),
+                onStop: (player) => this.activeAudios.delete(player),
+                onAnnotationsChange: (rec) => this.saveAnnotations(rec),
+                onEditsChange: (rec) => this.saveEdits(rec),
+                onAnalyze: (rec) => this.saveEdits(rec),
+                getRoomTone: () => this.roomTone?.profile || null,
+                onDerive: (source, result) => this.saveDerivedRecording(source, result)
+            });
+        }
+        this.player.open(recording, this.spectrogramSettings).catch(err => {
+            console.error('Could not open recording', err);
+            document.getElementById('playerStatus').textContent = 'This sound could not be opened.';
+        });
+    }
+
+    // The audio changed, so everything measured from it is redone. Runs one at a time so quick
+    // successive edits can't leave an older analysis on top.
+    saveEdits(recording) {
+        this.editAnalysis = (this.editAnalysis || Promise.resolve()).then(async () => {
+            await this.storage.saveRecording(recording);
+            try {
+                await this.analyzeRecording(recording, { thumbnail: true });
+            } catch (err) {
+                console.error('Could not re-analyze edited recording', err);
+            }
+            if (this.currentTab === 'gallery') this.renderGallery();
+            if (this.currentTab === 'map') this.renderMap();
+        });
+        return this.editAnalysis;
+    }
+
+    // A Sound Lab result becomes a recording of its own that remembers where it came from.
+    // It is measured like any other sound but doesn't count towards missions (nothing new was captured).
+    async saveDerivedRecording(source, { audioBlob, duration, channels, effects }) {
+        const recording = {
+            id: Date.now().toString(),
+            audioBlob,
+            thumbnail: null,
+            timestamp: Date.now(),
+            location: source.location || null,
+            features: [],
+            duration,
+            channels,
+            label: `${source.label} (Sound Lab)`,
+            tags: [...new Set([...source.tags.filter(tag => !['auto', 'monitor'].includes(tag)), 'sound-lab'])],
+            photoDataUrl: source.photoDataUrl || null,
+            derivedFrom: { id: source.id, label: source.label, effects, description: describeLabSettings(effects) }
+        };
+        await this.storage.saveRecording(recording);
+        this.recordings.push(recording);
+        try {
+            await this.analyzeRecording(recording, { thumbnail: true });
+        } catch (err) {
+            console.error('Could not analyze Sound Lab recording', err);
+        }
+        if (this.currentTab === 'gallery') this.renderGallery();
+        if (this.currentTab === 'map') this.renderMap();
+        return recording;
+    }
+
+    async saveAnnotations(recording) {
+        await this.storage.saveRecording(recording);
+        // Redraw the thumbnail so the regions show in the gallery, on the map and in exports
+        try {
+            await this.analyzeRecording(recording, { features: false, thumbnail: true });
+        } catch (err) {
+            console.error('Could not redraw thumbnail', err);
+        }
+        if (this.currentTab === 'gallery') this.renderGallery();
+        if (this.currentTab === 'map') this.renderMap();
+    }
+
     promptDeleteRecording(id) {
         const rec = this.recordings.find(r => r.id === id);
         if (!rec) return;
@@ -684,8 +1771,8 @@ class SoundExplorer {
     // --- Touch Drag and Drop Handlers ---
 
     handleTouchStart(e, recordingId) {
-        // Prevent if clicking the remove button on a pin
-        if (e.target.closest('.map-pin-remove')) return;
+        // Prevent if clicking the remove or open button on a pin
+        if (e.target.closest('.map-pin-remove, .map-pin-open, .map-pin-similar')) return;
 
         const originalElement = e.target.closest('.map-recording-item, .map-pin');
         if (!originalElement) return;
@@ -810,6 +1897,8 @@ class SoundExplorer {
                      data-id="${rec.id}" draggable="true">
                     ${imgSrc ? `<img src="${imgSrc}" class="map-pin-photo" alt="${rec.label}">` : '📍'}
                     <span class="map-pin-label">${rec.label}</span>
+                    <button class="map-pin-open" data-id="${rec.id}" aria-label="Open player">🔍</button>
+                    <button class="map-pin-similar" data-id="${rec.id}" aria-label="Find sounds like this one">🔗</button>
                     <button class="map-pin-remove" data-id="${rec.id}">×</button>
                 </div>`;
         }).join('');
@@ -821,10 +1910,12 @@ class SoundExplorer {
             return `<div class="sound-bubble" data-id="${rec.id}" title="${rec.label}">
               <img class="sound-bubble-thumb" src="${thumb}" alt="${rec.label}" onerror="this.style.background='${color}';this.src='';">
               <button class="bubble-add-btn" data-id="${rec.id}" aria-label="Add to map">＋</button>
+              <button class="bubble-add-btn bubble-open-btn" data-id="${rec.id}" aria-label="Open player">🔍</button>
               <div class="sound-bubble-label">${rec.label}</div>
             </div>`;
         }).join('');
-        bubbles.querySelectorAll('.bubble-add-btn').forEach(btn=>btn.addEventListener('click',(e)=>{ e.stopPropagation(); this.addToMap(btn.dataset.id, 50, 50); }));
+        bubbles.querySelectorAll('.bubble-add-btn:not(.bubble-open-btn)').forEach(btn=>btn.addEventListener('click',(e)=>{ e.stopPropagation(); this.addToMap(btn.dataset.id, 50, 50); }));
+        bubbles.querySelectorAll('.bubble-open-btn').forEach(btn=>btn.addEventListener('click',(e)=>{ e.stopPropagation(); this.openPlayer(btn.dataset.id); }));
         bubbles.querySelectorAll('.sound-bubble').forEach(el=>el.addEventListener('click',()=>this.playRecording(el.dataset.id)));
 
         // Add click listeners to pins for playing
@@ -845,6 +1936,20 @@ class SoundExplorer {
             pin.addEventListener('touchstart', (e) => this.handleTouchStart(e, pin.dataset.id), { passive: false });
         });
 
+        overlay.querySelectorAll('.map-pin-open').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openPlayer(btn.dataset.id);
+            });
+        });
+
+        overlay.querySelectorAll('.map-pin-similar').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showSimilar(btn.dataset.id);
+            });
+        });
+
         // Add remove button listeners with stopPropagation
         overlay.querySelectorAll('.map-pin-remove').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -853,6 +1958,8 @@ class SoundExplorer {
             });
         });
 
+        this.drawMapIndexChart();
+
         // Setup drop zone on map container
         const mapContainer = document.getElementById('mapContainer');
         
@@ -943,6 +2050,7 @@ class SoundExplorer {
 
     openSettings() {
         document.getElementById('settingsModal').classList.remove('hidden');
+        this.populateInputDevices();
     }
 
     closeSettings() {
@@ -1016,6 +2124,7 @@ class SoundExplorer {
         const exporter = new Exporter();
         const { blob, filename } = await exporter.createZip({
             recordings: this.recordings,
+            projects: await this.storage.getAllProjects(),
             mapPositions: this.mapPositions,
             mapBackgroundUrl: this.mapBackgroundUrl
         });
@@ -1060,6 +2169,9 @@ class SoundExplorer {
                 
                 alert('Data imported successfully!');
                 this.closeSettings();
+
+                // Older packages carry no feature frames; measure them from the audio
+                this.reanalyzeLibrary({ onlyMissing: true });
             } catch (error) {
                 alert('Error importing data: ' + error.message);
             }
@@ -1100,10 +2212,7 @@ class SoundExplorer {
     async toggleVisualization() {
         if (!this.audioProcessor) {
             try {
-                const combined = await navigator.mediaDevices.getUserMedia({
-                    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
-                    video: { facingMode: 'environment' }
-                });
+                const combined = await this.getInputStream();
                 combined.getVideoTracks().forEach(t => t.stop()); // pre-grant camera, stop until needed
                 await this.initAudio(combined);
             } catch (error) {
@@ -1118,6 +2227,12 @@ class SoundExplorer {
         const text = btn.querySelector('.viz-start-text');
 
         if (this.audioProcessor.isVisualizing) {
+            // The trigger only sees the level while the display runs, so it can't be left waiting (or mid-capture)
+            if (this.triggerArmed) {
+                const capturing = this.audioProcessor.isTriggered() && this.isRecording;
+                this.disarmTrigger();
+                if (capturing) this.stopRecording();
+            }
             this.audioProcessor.stopVisualization();
             btn.classList.remove('active');
             icon.textContent = '▶️';
@@ -1130,6 +2245,57 @@ class SoundExplorer {
         }
     }
     
+    // Bar chart of one soundscape index for every sound pinned on the map, in pin colors
+    drawMapIndexChart() {
+        const canvas = document.getElementById('mapIndexChart');
+        const info = ECO_INDICES.find(i => i.key === this.mapIndex);
+        document.getElementById('mapIndexHelp').textContent = info.description;
+        const pinned = Object.keys(this.mapPositions)
+            .map(id => this.recordings.find(r => r.id === id))
+            .filter(Boolean);
+        const rows = pinned.filter(r => typeof r.ecoIndices?.[info.key] === 'number');
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.clientWidth || 600;
+        const rowH = 28;
+        const pad = { left: 120, right: 48, top: 8, bottom: 8 };
+        const height = canvas.height = Math.max(1, rows.length) * rowH + pad.top + pad.bottom;
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px Noto Sans, sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#6b7280';
+        if (!rows.length) {
+            ctx.fillText(pinned.length ? 'Pinned sounds have not been measured yet (Settings → Re-analyze).' : 'Put sounds on the map to compare places.', 8, height / 2);
+            return;
+        }
+
+        // NDSI runs from -1 to 1, so its bars grow either way from a centre line
+        const values = rows.map(r => r.ecoIndices[info.key]);
+        const signed = info.key === 'ndsi';
+        const max = signed ? 1 : Math.max(...values, 1e-9);
+        const plotW = width - pad.left - pad.right;
+        const zeroX = pad.left + (signed ? plotW / 2 : 0);
+        const scale = signed ? plotW / 2 : plotW;
+        rows.forEach((rec, i) => {
+            const value = rec.ecoIndices[info.key];
+            const y = pad.top + i * rowH;
+            const barW = value / max * scale;
+            ctx.fillStyle = this.mapPositions[rec.id].color || this.getColorForRecording(rec.id);
+            ctx.fillRect(Math.min(zeroX, zeroX + barW), y + 4, Math.abs(barW), rowH - 8);
+            ctx.fillStyle = '#111827';
+            const label = rec.label.length > 16 ? `${rec.label.slice(0, 15)}…` : rec.label;
+            ctx.fillText(label, 4, y + rowH / 2);
+            ctx.fillText(formatEcoIndex(info.key, value), Math.max(zeroX, zeroX + barW) + 4, y + rowH / 2);
+        });
+        if (signed) {
+            ctx.strokeStyle = '#9ca3af';
+            ctx.beginPath();
+            ctx.moveTo(zeroX + 0.5, pad.top);
+            ctx.lineTo(zeroX + 0.5, height - pad.bottom);
+            ctx.stroke();
+        }
+    }
+
     getColorForRecording(id) {
         // Deterministic bright color per id
         const hue = parseInt(id, 10) % 360;
@@ -0,0 +1,481 @@
+// Soundscape mixer: layer recordings into a "sound portrait". A mix is a project object stored in IndexedDB
+// ({ type: 'mix', tracks }) whose tracks each hold a recording with volume, pan, loop, offset and fades.
+// Playback and the WAV mixdown schedule the same graph (scheduleMix), on an AudioContext or an OfflineAudioContext.
+import { encodeWav } from './audio-convert.js';
+import { loadPlaybackBuffers, mixdownSampleRate } from './audio-editor.js';
+import { formatTime } from './recording-player.js';
+
+const MAX_MIX_SECONDS = 600;
+const START_DELAY = 0.1;                // seconds of scheduling headroom so every track starts together
+const SAVE_DELAY_MS = 500;
+const RESTART_DELAY_MS = 200;
+
+export function createMixProject(name = 'My sound portrait') {
+  const now = Date.now();
+  return { id: `mix-${now}`, type: 'mix', name, createdAt: now, updatedAt: now, tracks: [] };
+}
+
+export function createTrack(recordingId) {
+  return {
+    id: `track-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    recordingId,
+    volume: 1,        // 0..1.5
+    pan: 0,           // -1 (left) .. 1 (right)
+    loop: false,      // repeat until the end of the mix
+    offset: 0,        // seconds into the mix where the track starts
+    fadeIn: 0,
+    fadeOut: 0
+  };
+}
+
+// Tracks that can be played: their recording still exists and has been decoded
+const playable = (project, buffers) => project.tracks.filter(t => buffers.has(t.recordingId));
+
+// Seconds until the last non-looping track ends (looping tracks fill that time); if every track loops, one pass of each
+export function mixDuration(project, buffers) {
+  const tracks = playable(project, buffers);
+  const once = tracks.filter(t => !t.loop);
+  const ends = (once.length ? once : tracks).map(t => t.offset + buffers.get(t.recordingId).duration);
+  return Math.min(MAX_MIX_SECONDS, ends.length ? Math.max(...ends) : 0);
+}
+
+// [time, gain] corners of a track's volume envelope in mix time; fades shrink to fit short tracks
+function envelope(track, start, end) {
+  const length = end - start;
+  const fit = Math.min(1, length / Math.max(1e-6, track.fadeIn + track.fadeOut));
+  const fadeIn = track.fadeIn * fit;
+  const fadeOut = track.fadeOut * fit;
+  return [
+    [start, fadeIn ? 0 : track.volume],
+    [start + fadeIn, track.volume],
+    [end - fadeOut, track.volume],
+    [end, fadeOut ? 0 : track.volume]
+  ];
+}
+
+function gainAt(points, t) {
+  for (let i = 1; i < points.length; i++) {
+    const [t0, g0] = points[i - 1];
+    const [t1, g1] = points[i];
+    if (t <= t1) return t1 > t0 ? g0 + (g1 - g0) * (t - t0) / (t1 - t0) : g1;
+  }
+  return points[points.length - 1][1];
+}
+
+// Schedule every track on context so that mix time `from` plays at context time `startAt`.
+// Returns the started sources (stop them to stop the mix).
+export function scheduleMix(context, project, buffers, { destination = context.destination, startAt = context.currentTime, from = 0 } = {}) {
+  const duration = mixDuration(project, buffers);
+  const toTime = (t) => startAt + t - from;
+  const sources = [];
+  playable(project, buffers).forEach(track => {
+    const buffer = buffers.get(track.recordingId);
+    const start = track.offset;
+    const end = track.loop ? duration : Math.min(duration, start + buffer.duration);
+    if (end <= from || end <= start) return;
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = track.loop;
+    const gain = context.createGain();
+    const panner = context.createStereoPanner();
+    panner.pan.value = track.pan;
+    source.connect(gain).connect(panner).connect(destination);
+
+    const playFrom = Math.max(from, start);
+    const points = envelope(track, start, end);
+    gain.gain.setValueAtTime(gainAt(points, playFrom), toTime(playFrom));
+    points.filter(([t]) => t > playFrom).forEach(([t, g]) => gain.gain.linearRampToValueAtTime(g, toTime(t)));
+
+    const into = playFrom - start;
+    source.start(toTime(playFrom), track.loop ? into % buffer.duration : into);
+    source.stop(toTime(end));
+    sources.push(source);
+  });
+  return sources;
+}
+
+// recording id -> AudioBuffer (with edits) for every recording a mix uses
+export function loadMixBuffers(project, recordings, cache) {
+  return loadPlaybackBuffers(project.tracks.map(t => t.recordingId), recordings, cache);
+}
+
+// Stereo mixdown as a 16-bit WAV blob (the same encoding as the exported sounds), or null for an empty mix
+export async function renderMixWav(project, recordings, cache) {
+  const buffers = await loadMixBuffers(project, recordings, cache);
+  const duration = mixDuration(project, buffers);
+  if (!duration) return null;
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const sampleRate = mixdownSampleRate(buffers);
+  const context = new Offline(2, Math.ceil(duration * sampleRate), sampleRate);
+  scheduleMix(context, project, buffers, { startAt: 0 });
+  const rendered = await context.startRendering();
+  return encodeWav([rendered.getChannelData(0), rendered.getChannelData(1)], rendered.sampleRate);
+}
+
+export class Mixer {
+  // getRecordings() returns the library; onPlay/onStop(mixer) let the app pause it with its other sounds
+  constructor({ storage, getRecordings, onPlay = null, onStop = null }) {
+    this.storage = storage;
+    this.getRecordings = getRecordings;
+    this.onPlay = onPlay;
+    this.onStop = onStop;
+    this.projects = [];
+    this.project = null;
+    this.buffers = new Map();    // recording id -> AudioBuffer for the open mix
+    this.cache = new Map();      // decoded recordings, kept while their edits don't change
+    this.context = null;
+    this.sources = [];
+    this.playing = false;
+    this.startedAt = 0;
+    this.from = 0;
+    this.playToken = 0;
+    this.saveTimer = null;
+    this.restartTimer = null;
+    this.frameId = null;
+    this.loaded = false;
+
+    this._bindControls();
+  }
+
+  async load() {
+    this.projects = (await this.storage.getAllProjects('mix')).sort((a, b) => b.updatedAt - a.updatedAt);
+    if (!this.projects.length) this.projects = [createMixProject()];
+    this.loaded = true;
+    await this.open(this.projects[0].id);
+  }
+
+  // Called when the tab is shown, so newly recorded or deleted sounds are picked up
+  async show() {
+    if (!this.loaded) return this.load();
+    await this._loadBuffers();
+    this.render();
+  }
+
+  async open(id) {
+    this.pause();
+    this.project = this.projects.find(p => p.id === id) || this.projects[0];
+    this.from = 0;
+    await this._loadBuffers();
+    this.render();
+  }
+
+  async newProject() {
+    await this._saveNow();
+    const project = createMixProject(`Sound portrait ${this.projects.length + 1}`);
+    this.projects.unshift(project);
+    await this.open(project.id);
+  }
+
+  async deleteProject() {
+    if (!this.project || !confirm(`Delete the mix “${this.project.name}”? The sounds in it are kept.`)) return;
+    this.pause();
+    clearTimeout(this.saveTimer);
+    await this.storage.deleteProject(this.project.id);
+    this.projects = this.projects.filter(p => p !== this.project);
+    if (!this.projects.length) this.projects = [createMixProject()];
+    await this.open(this.projects[0].id);
+  }
+
+  async addTrack(recordingId) {
+    if (!this.project || !recordingId) return;
+    this.project.tracks.push(createTrack(recordingId));
+    this._changed();
+    await this._loadBuffers();
+    this.render();
+  }
+
+  removeTrack(trackId) {
+    this.project.tracks = this.project.tracks.filter(t => t.id !== trackId);
+    this._changed();
+    this.render();
+  }
+
+  updateTrack(trackId, field, value) {
+    const track = this.project.tracks.find(t => t.id === trackId);
+    if (!track) return;
+    track[field] = value;
+    this._changed();
+    this._renderTrackValues(track);
+    this._renderTimeline();
+  }
+
+  play() {
+    if (this.playing || !this.project) return;
+    const duration = mixDuration(this.project, this.buffers);
+    if (!duration) {
+      this._status('Add a sound to the mix first.');
+      return;
+    }
+    if (!this.context) this.context = new (window.AudioContext || window.webkitAudioContext)();
+    this.context.resume();
+    if (this.from >= duration) this.from = 0;
+    const token = ++this.playToken;
+    this.startedAt = this.context.currentTime + START_DELAY;
+    this.sources = scheduleMix(this.context, this.project, this.buffers, { startAt: this.startedAt, from: this.from });
+    this.playing = true;
+    // The mix is over when its last source stops
+    let remaining = this.sources.length;
+    this.sources.forEach(source => {
+      source.onended = () => {
+        if (--remaining === 0 && token === this.playToken) this._ended();
+      };
+    });
+    if (!this.sources.length) this._ended();
+    if (this.onPlay) this.onPlay(this);
+    this._tick();
+  }
+
+  pause() {
+    clearTimeout(this.restartTimer);
+    if (!this.playing) return;
+    this.from = this.position();
+    this._stopSources();
+    this.playing = false;
+    this._renderTransport();
+    if (this.onStop) this.onStop(this);
+  }
+
+  toggle() {
+    if (this.playing) this.pause(); else this.play();
+  }
+
+  position() {
+    if (!this.playing) return this.from;
+    return Math.max(this.from, this.from + this.context.currentTime - this.startedAt);
+  }
+
+  async exportWav() {
+    if (!this.project) return;
+    const btn = document.getElementById('mixExport');
+    btn.disabled = true;
+    this._status('Mixing…');
+    try {
+      const blob = await renderMixWav(this.project, this.getRecordings(), this.cache);
+      if (!blob) {
+        this._status('Add a sound to the mix first.');
+        return;
+      }
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${this.project.name.replace(/[^a-z0-9\-_\s]/gi, '').trim().replace(/\s+/g, '_') || 'mix'}.wav`;
+      a.click();
+      URL.revokeObjectURL(url);
+      this._status('');
+    } catch (err) {
+      console.error('Mixdown failed', err);
+      this._status('Sorry, the mix could not be made.');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  _ended() {
+    this.sources = [];
+    this.playing = false;
+    this.from = 0;
+    this._renderTransport();
+    if (this.onStop) this.onStop(this);
+  }
+
+  _stopSources() {
+    this.playToken++;
+    this.sources.forEach(source => {
+      source.onended = null;
+      try { source.stop(); } catch {}
+    });
+    this.sources = [];
+  }
+
+  async _loadBuffers() {
+    if (!this.project) return;
+    const project = this.project;
+    try {
+      const buffers = await loadMixBuffers(project, this.getRecordings(), this.cache);
+      if (project === this.project) this.buffers = buffers;
+    } catch (err) {
+      console.error('Could not load mix sounds', err);
+      this._status('Some sounds could not be loaded.');
+    }
+  }
+
+  // Save shortly after the last change; a playing mix restarts where it is once a slider settles, so changes are heard
+  _changed() {
+    this.project.updatedAt = Date.now();
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this._saveNow(), SAVE_DELAY_MS);
+    if (!this.playing) return;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => {
+      if (!this.playing) return;
+      const at = this.position();
+      this._stopSources();
+      this.playing = false;
+      this.from = at;
+      this.play();
+    }, RESTART_DELAY_MS);
+  }
+
+  async _saveNow() {
+    clearTimeout(this.saveTimer);
+    if (!this.project) return;
+    try {
+      await this.storage.saveProject(this.project);
+    } catch (err) {
+      console.error('Could not save mix', err);
+      this._status('The mix could not be saved.');
+    }
+  }
+
+  _status(text) {
+    document.getElementById('mixStatus').textContent = text;
+  }
+
+  _recordingLabel(id) {
+    const recording = this.getRecordings().find(r => r.id === id);
+    return recording ? recording.label : '(sound deleted)';
+  }
+
+  render() {
+    if (!this.project) return;
+    const recordings = this.getRecordings();
+
+    const select = document.getElementById('mixSelect');
+    select.innerHTML = this.projects.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+    select.value = this.project.id;
+    document.getElementById('mixName').value = this.project.name;
+
+    const add = document.getElementById('mixAddSelect');
+    add.innerHTML = recordings.length
+      ? recordings.map(r => `<option value="${r.id}">${r.label}</option>`).join('')
+      : '<option value="">Record some sounds first</option>';
+    document.getElementById('mixAdd').disabled = !recordings.length;
+
+    const list = document.getElementById('mixTracks');
+    list.innerHTML = this.project.tracks.map(t => `
+      <div class="mix-track" data-track="${t.id}">
+        <div class="mix-track-header">
+          <strong>${this._recordingLabel(t.recordingId)}</strong>
+          <label><input type="checkbox" data-field="loop" ${t.loop ? 'checked' : ''}> 🔁 Loop</label>
+          <button class="btn-secondary" data-remove aria-label="Remove track">✖</button>
+        </div>
+        ${this._slider(t, 'volume', '🔊 Volume', 0, 1.5, 0.05)}
+        ${this._slider(t, 'pan', '↔️ Left / right', -1, 1, 0.1)}
+        ${this._slider(t, 'offset', '⏱ Starts at', 0, 60, 0.5)}
+        ${this._slider(t, 'fadeIn', '🌅 Fade in', 0, 10, 0.5)}
+        ${this._slider(t, 'fadeOut', '🌇 Fade out', 0, 10, 0.5)}
+      </div>
+    `).join('') || '<p class="setting-help">Add sounds below to start your mix.</p>';
+    this.project.tracks.forEach(t => this._renderTrackValues(t));
+
+    this._renderTimeline();
+    this._renderTransport();
+  }
+
+  _slider(track, field, label, min, max, step) {
+    return `
+        <div class="slider-group">
+          <label class="slider-label"><span>${label}</span><span data-value="${field}"></span></label>
+          <input type="range" class="slider" data-field="${field}" min="${min}" max="${max}" step="${step}" value="${track[field]}">
+        </div>`;
+  }
+
+  _renderTrackValues(track) {
+    const row = document.querySelector(`.mix-track[data-track="${track.id}"]`);
+    if (!row) return;
+    const text = {
+      volume: `${Math.round(track.volume * 100)}%`,
+      pan: track.pan === 0 ? 'Middle' : `${Math.round(Math.abs(track.pan) * 100)}% ${track.pan < 0 ? 'left' : 'right'}`,
+      offset: `${track.offset} s`,
+      fadeIn: track.fadeIn ? `${track.fadeIn} s` : 'Off',
+      fadeOut: track.fadeOut ? `${track.fadeOut} s` : 'Off'
+    };
+    Object.entries(text).forEach(([field, value]) => {
+      row.querySelector(`[data-value="${field}"]`).textContent = value;
+    });
+  }
+
+  // One bar per track on a shared time axis; looping tracks are striped to the end of the mix
+  _renderTimeline() {
+    const timeline = document.getElementById('mixTimeline');
+    const duration = mixDuration(this.project, this.buffers);
+    timeline.querySelectorAll('.mix-lane').forEach(lane => lane.remove());
+    this.project.tracks.forEach(t => {
+      const lane = document.createElement('div');
+      lane.className = 'mix-lane';
+      const buffer = this.buffers.get(t.recordingId);
+      if (buffer && duration) {
+        const end = t.loop ? duration : Math.min(duration, t.offset + buffer.duration);
+        const bar = document.createElement('div');
+        bar.className = `mix-bar${t.loop ? ' mix-bar-loop' : ''}`;
+        bar.style.left = `${Math.min(100, t.offset / duration * 100)}%`;
+        bar.style.width = `${Math.max(0, (end - t.offset) / duration * 100)}%`;
+        bar.textContent = this._recordingLabel(t.recordingId);
+        lane.append(bar);
+      }
+      timeline.append(lane);
+    });
+  }
+
+  _renderTransport() {
+    const duration = this.project ? mixDuration(this.project, this.buffers) : 0;
+    const pos = Math.min(this.position(), duration);
+    document.getElementById('mixPlay').textContent = this.playing ? '⏸ Pause' : '▶️ Play';
+    document.getElementById('mixTime').textContent = `${formatTime(pos)} / ${formatTime(duration)}`;
+    document.getElementById('mixPlayhead').style.left = `${duration ? pos / duration * 100 : 0}%`;
+  }
+
+  _tick() {
+    cancelAnimationFrame(this.frameId);
+    this._renderTransport();
+    if (this.playing) this.frameId = requestAnimationFrame(() => this._tick());
+  }
+
+  _bindControls() {
+    document.getElementById('mixPlay').addEventListener('click', () => this.toggle());
+    document.getElementById('mixNew').addEventListener('click', () => this.newProject());
+    document.getElementById('mixDelete').addEventListener('click', () => this.deleteProject());
+    document.getElementById('mixExport').addEventListener('click', () => this.exportWav());
+    document.getElementById('mixSelect').addEventListener('change', async (e) => {
+      await this._saveNow();
+      this.open(e.target.value);
+    });
+    document.getElementById('mixName').addEventListener('input', (e) => {
+      if (!this.project) return;
+      this.project.name = e.target.value.trim() || 'Untitled mix';
+      this.project.updatedAt = Date.now();
+      clearTimeout(this.saveTimer);
+      this.saveTimer = setTimeout(() => this._saveNow(), SAVE_DELAY_MS);
+      const option = document.querySelector(`#mixSelect option[value="${this.project.id}"]`);
+      if (option) option.textContent = this.project.name;
+    });
+    document.getElementById('mixAdd').addEventListener('click', () => {
+      this.addTrack(document.getElementById('mixAddSelect').value);
+    });
+    // Seek by tapping the timeline
+    document.getElementById('mixTimeline').addEventListener('click', (e) => {
+      const duration = this.project ? mixDuration(this.project, this.buffers) : 0;
+      if (!duration) return;
+      const rect = e.currentTarget.getBoundingClientRect();
+      const at = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * duration;
+      const wasPlaying = this.playing;
+      this.pause();
+      this.from = at;
+      if (wasPlaying) this.play(); else this._renderTransport();
+    });
+
+    const list = document.getElementById('mixTracks');
+    list.addEventListener('input', (e) => {
+      const field = e.target.dataset.field;
+      const row = e.target.closest('.mix-track');
+      if (!field || !row) return;
+      const value = e.target.type === 'checkbox' ? e.target.checked : parseFloat(e.target.value);
+      this.updateTrack(row.dataset.track, field, value);
+    });
+    list.addEventListener('click', (e) => {
+      const row = e.target.closest('.mix-track');
+      if (row && e.target.closest('[data-remove]')) this.removeTrack(row.dataset.track);
+    });
+  }
+}
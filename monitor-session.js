@@ -0,0 +1,67 @@
+// Duty-cycle scheduler: capture captureMs of audio every intervalMs until windowMs has passed.
+// The app does the actual recording in onCapture; this only keeps time.
+export class MonitorSession {
+    constructor({ captureMs, intervalMs, windowMs, onCapture, onEnd }) {
+        this.id = `session-${Date.now()}`;
+        this.captureMs = captureMs;
+        this.intervalMs = Math.max(intervalMs, captureMs + 1000); // leave room to save between captures
+        this.windowMs = windowMs;
+        this.onCapture = onCapture;
+        this.onEnd = onEnd;
+        this.startedAt = 0;
+        this.endedAt = null;
+        this.endsAt = 0;
+        this.nextCaptureAt = 0;
+        this.captureCount = 0;
+        this.skipped = 0;
+        this.timeoutId = null;
+        this.running = false;
+    }
+
+    start() {
+        this.running = true;
+        this.startedAt = Date.now();
+        this.endsAt = this.startedAt + this.windowMs;
+        this.nextCaptureAt = this.startedAt;
+        this._fire();
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        this.endedAt = Date.now();
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+        if (this.onEnd) this.onEnd(this);
+    }
+
+    async _fire() {
+        if (!this.running) return;
+        if (Date.now() + this.captureMs > this.endsAt) {
+            this.stop();
+            return;
+        }
+
+        // onCapture returns (or resolves to) false when the recorder is busy (e.g. a manual take) or couldn't start
+        const started = await this.onCapture(this);
+        if (started === false) this.skipped++;
+        else this.captureCount++;
+
+        this.nextCaptureAt += this.intervalMs;
+        const wait = Math.max(0, this.nextCaptureAt - Date.now());
+        this.timeoutId = setTimeout(() => this._fire(), wait);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            startedAt: this.startedAt,
+            endedAt: this.endedAt,
+            captureMs: this.captureMs,
+            intervalMs: this.intervalMs,
+            windowMs: this.windowMs,
+            captureCount: this.captureCount,
+            skipped: this.skipped
+        };
+    }
+}
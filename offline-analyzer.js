@@ -0,0 +1,110 @@
+// Offline analysis of stored audio: the same AnalyserNode + FeatureExtractor + LevelMeter pipeline
+// as live capture, driven faster than real time by suspending an OfflineAudioContext at every hop.
+import { FeatureExtractor, FEATURE_HOP_MS } from './feature-extractor.js';
+import { LevelMeter } from './level-meter.js';
+
+const RENDER_QUANTUM = 128;
+const FALLBACK_SAMPLE_RATE = 48000;   // only for non-WAV blobs saved before recordings stored their rate
+
+// Sample rate from a WAV blob's fmt chunk, or null when the blob is not a RIFF/WAVE file
+async function wavSampleRate(blob) {
+  const view = new DataView(await blob.slice(0, 4096).arrayBuffer());
+  const tag = (offset) => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+  if (view.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
+  for (let offset = 12; offset + 16 <= view.byteLength;) {
+    const size = view.getUint32(offset + 4, true);
+    if (tag(offset) === 'fmt ') return offset + 12 <= view.byteLength ? view.getUint32(offset + 12, true) : null;
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// Decode at the recording's own rate (a decode context resamples to its rate): the WAV header's for
+// lossless takes, otherwise the capture rate the caller knows (recording.sampleRate)
+export async function decodeBlob(blob, { sampleRate = null } = {}) {
+  const rate = (await wavSampleRate(blob)) || sampleRate || FALLBACK_SAMPLE_RATE;
+  const arrayBuffer = await blob.arrayBuffer();
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const ctx = new Offline(1, 1, rate);
+  return ctx.decodeAudioData(arrayBuffer);
+}
+
+// options.spectrogramColumns > 0 also collects that many evenly spaced spectrum columns (dB per bin);
+// options.features = false skips the feature/meter hops (e.g. when only a thumbnail is needed)
+export async function analyzeBuffer(buffer, { hopMs = FEATURE_HOP_MS, fftSize = 2048, spectrogramColumns = 0, features: withFeatures = true, meterConfig = null, onProgress = null } = {}) {
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const sampleRate = buffer.sampleRate;
+  const ctx = new Offline(buffer.numberOfChannels, buffer.length, sampleRate);
+
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = 0;
+  source.connect(analyser);
+  analyser.connect(ctx.destination);
+
+  const extractor = new FeatureExtractor({ sampleRate, fftSize });
+  const meter = new LevelMeter();
+  if (meterConfig) meter.configure(meterConfig);
+  meter.startStats();
+
+  const freqDb = new Float32Array(analyser.frequencyBinCount);
+  const timeData = new Float32Array(fftSize);
+  const features = [];
+  const columns = [];
+
+  // suspend() works on render-quantum boundaries, so snap every capture point to one and merge duplicates
+  const points = new Map(); // frame -> { feature: t(ms) | null, column: bool }
+  const snap = (seconds) => Math.floor(seconds * sampleRate / RENDER_QUANTUM) * RENDER_QUANTUM;
+  const lastFrame = buffer.length - RENDER_QUANTUM;
+  for (let t = hopMs / 1000; withFeatures && snap(t) < lastFrame; t += hopMs / 1000) {
+    points.set(snap(t), { feature: Math.round(t * 1000), column: false });
+  }
+  for (let i = 0; i < spectrogramColumns; i++) {
+    const frame = Math.min(lastFrame, snap(((i + 0.5) / spectrogramColumns) * buffer.duration));
+    if (frame <= 0) continue;
+    const point = points.get(frame) || { feature: null, column: false };
+    point.column = true;
+    points.set(frame, point);
+  }
+
+  const total = points.size || 1;
+  let done = 0;
+  for (const [frame, point] of points) {
+    ctx.suspend(frame / sampleRate).then(() => {
+      analyser.getFloatFrequencyData(freqDb);
+      if (point.feature !== null) {
+        analyser.getFloatTimeDomainData(timeData);
+        meter.accumulate(meter.measure(timeData, freqDb, sampleRate));
+        features.push({ t: point.feature, ...extractor.compute(freqDb, timeData) });
+      }
+      if (point.column) columns.push({ frame, data: Float32Array.from(freqDb) });
+      done++;
+      if (onProgress && done % 10 === 0) onProgress(done / total);
+      ctx.resume();
+    });
+  }
+
+  source.start(0);
+  await ctx.startRendering();
+  if (onProgress) onProgress(1);
+
+  features.sort((a, b) => a.t - b.t);
+  columns.sort((a, b) => a.frame - b.frame);
+  return {
+    features,
+    levelStats: withFeatures ? meter.getStats() : null,
+    spectrogram: {
+      columns: columns.map(c => c.data),
+      sampleRate,
+      fftSize,
+      duration: buffer.duration
+    }
+  };
+}
+
+export async function analyzeBlob(blob, options = {}) {
+  const buffer = await decodeBlob(blob, { sampleRate: options.sampleRate });
+  return analyzeBuffer(buffer, options);
+}
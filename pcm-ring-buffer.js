@@ -0,0 +1,43 @@
+// Keeps the most recent N frames of planar PCM, stored as the batches the recorder worklet posts.
+export class PcmRingBuffer {
+  constructor(capacityFrames = 0) {
+    this.capacityFrames = capacityFrames;
+    this.chunks = [];
+    this.frames = 0;
+  }
+
+  setCapacity(frames) {
+    this.capacityFrames = Math.max(0, Math.floor(frames));
+    this._trim();
+  }
+
+  push(channels) {
+    if (this.capacityFrames === 0) return;
+    this.chunks.push(channels);
+    this.frames += channels[0].length;
+    this._trim();
+  }
+
+  // Drop whole batches from the front while the rest still covers the capacity
+  _trim() {
+    while (this.chunks.length && this.frames - this.chunks[0][0].length >= this.capacityFrames) {
+      this.frames -= this.chunks.shift()[0].length;
+    }
+  }
+
+  // Return exactly the last capacityFrames frames (or fewer if not yet filled) and empty the buffer
+  drain() {
+    const excess = this.frames - this.capacityFrames;
+    if (excess > 0 && this.chunks.length) {
+      this.chunks[0] = this.chunks[0].map(ch => ch.subarray(excess));
+    }
+    const out = this.chunks;
+    this.clear();
+    return out;
+  }
+
+  clear() {
+    this.chunks = [];
+    this.frames = 0;
+  }
+}
@@ -0,0 +1,84 @@
+// Pitch / dominant-frequency estimation with the YIN algorithm (de Cheveigné & Kawahara, 2002),
+// plus note naming. Used live for the Hz readout and trace, and per feature frame for stored contours.
+
+export const PITCH_MIN_HZ = 60;
+export const PITCH_MAX_HZ = 2000;
+const YIN_THRESHOLD = 0.15;      // lower = stricter about what counts as pitched
+const SILENCE_RMS = 0.003;       // about -50 dBFS; below this there is nothing to track
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// timeData: Float32 samples (a few thousand is plenty). Returns { hz, clarity } or null when unpitched.
+export function detectPitch(timeData, sampleRate, { minHz = PITCH_MIN_HZ, maxHz = PITCH_MAX_HZ } = {}) {
+  const maxLag = Math.min(Math.floor(sampleRate / minHz), Math.floor(timeData.length / 2));
+  const minLag = Math.max(2, Math.floor(sampleRate / maxHz));
+  const window = timeData.length - maxLag;
+  if (maxLag <= minLag || window <= 0) return null;
+
+  let sumSq = 0;
+  for (let i = 0; i < timeData.length; i++) sumSq += timeData[i] * timeData[i];
+  if (Math.sqrt(sumSq / timeData.length) < SILENCE_RMS) return null;
+
+  // Difference function and its cumulative-mean-normalised form
+  const d = new Float32Array(maxLag + 1);
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i < window; i++) {
+      const diff = timeData[i] - timeData[i + lag];
+      sum += diff * diff;
+    }
+    d[lag] = sum;
+  }
+  const cmnd = new Float32Array(maxLag + 1);
+  cmnd[0] = 1;
+  let running = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    running += d[lag];
+    cmnd[lag] = running > 0 ? d[lag] * lag / running : 1;
+  }
+
+  // First dip below the threshold, followed down to its local minimum
+  let lag = -1;
+  for (let t = minLag; t <= maxLag; t++) {
+    if (cmnd[t] < YIN_THRESHOLD) {
+      while (t + 1 <= maxLag && cmnd[t + 1] < cmnd[t]) t++;
+      lag = t;
+      break;
+    }
+  }
+  if (lag < 0) return null;
+
+  // Parabolic interpolation for sub-sample accuracy
+  let refined = lag;
+  if (lag > 1 && lag < maxLag) {
+    const a = cmnd[lag - 1], b = cmnd[lag], c = cmnd[lag + 1];
+    const denom = a - 2 * b + c;
+    if (denom !== 0) refined = lag + (a - c) / (2 * denom);
+  }
+  return { hz: sampleRate / refined, clarity: 1 - cmnd[lag] };
+}
+
+// Nearest equal-tempered note (A4 = 440 Hz): { name: 'A4', cents: -12 }
+export function hzToNote(hz) {
+  if (!(hz > 0)) return null;
+  const midi = 69 + 12 * Math.log2(hz / 440);
+  const nearest = Math.round(midi);
+  return {
+    name: `${NOTE_NAMES[((nearest % 12) + 12) % 12]}${Math.floor(nearest / 12) - 1}`,
+    cents: Math.round((midi - nearest) * 100)
+  };
+}
+
+// Contour summary from feature frames (frames without pitch are unvoiced)
+export function summarizePitch(frames) {
+  const voiced = (frames || []).map(f => f.pitch).filter(hz => hz > 0).sort((a, b) => a - b);
+  if (!voiced.length) return { pitchHz: null, pitchMin: null, pitchMax: null, voiced: 0, notes: [] };
+  const median = voiced[Math.floor(voiced.length / 2)];
+  return {
+    pitchHz: Math.round(median),
+    pitchMin: Math.round(voiced[Math.floor(voiced.length * 0.05)]),
+    pitchMax: Math.round(voiced[Math.ceil(voiced.length * 0.95) - 1]),
+    voiced: voiced.length / frames.length,
+    notes: [...new Set(voiced.map(hz => hzToNote(hz).name))]
+  };
+}
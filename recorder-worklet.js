@@ -0,0 +1,63 @@
+// Runs on the audio thread: copies raw Float32 frames from its input and posts
+// them to the main thread in batches, so recordings never pass through a codec.
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = (options && options.processorOptions) || {};
+    this.channelCount = opts.channelCount || 1;
+    this.batchFrames = opts.batchFrames || 4096;
+    this.active = false;
+    this._reset();
+
+    this.port.onmessage = (event) => {
+      const { command } = event.data || {};
+      if (command === 'start') {
+        this._reset();
+        this.active = true;
+      } else if (command === 'flush') {
+        // Hand over whatever is buffered without interrupting the stream
+        this._flush();
+        this.port.postMessage({ type: 'flushed' });
+      } else if (command === 'stop') {
+        this._flush();
+        this.active = false;
+        this.port.postMessage({ type: 'stopped' });
+      }
+    };
+  }
+
+  _reset() {
+    this.buffers = [];
+    for (let c = 0; c < this.channelCount; c++) this.buffers.push(new Float32Array(this.batchFrames));
+    this.filled = 0;
+  }
+
+  _flush() {
+    if (this.filled === 0) return;
+    const channels = this.buffers.map(b => b.slice(0, this.filled));
+    this.port.postMessage({ type: 'frames', channels }, channels.map(c => c.buffer));
+    this._reset();
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!this.active || !input || input.length === 0) return true;
+
+    const frames = input[0].length;
+    let offset = 0;
+    while (offset < frames) {
+      const count = Math.min(frames - offset, this.batchFrames - this.filled);
+      for (let c = 0; c < this.channelCount; c++) {
+        // Missing channels (e.g. mono source into a stereo node) are duplicated from the first
+        const src = input[c] || input[0];
+        this.buffers[c].set(src.subarray(offset, offset + count), this.filled);
+      }
+      this.filled += count;
+      offset += count;
+      if (this.filled === this.batchFrames) this._flush();
+    }
+    return true;
+  }
+}
+
+registerProcessor('pcm-recorder', PcmRecorderProcessor);
@@ -0,0 +1,644 @@
+// Detail player for a saved recording: waveform and spectrogram with a moving playhead,
+// tap or drag on the waveform to seek, drag on the spectrogram to select a part (time and pitch range)
+// to loop or annotate, playback-rate control, non-destructive edits (see audio-editor.js) and the Sound Lab.
+// Plays through Web Audio so seeking and looping are sample-accurate.
+import { analyzeBuffer } from './offline-analyzer.js';
+import { computePeaks, drawWaveform } from './waveform.js';
+import { renderSpectrogramImage, plotColumns } from './spectrogram.js';
+import { positionToHz, hzToPosition } from './frequency-scale.js';
+import { createAnnotation, sortAnnotations, parseTagList } from './annotations.js';
+import { describeRhythm } from './rhythm-analyzer.js';
+import { ECO_INDICES, formatEcoIndex } from './eco-indices.js';
+import {
+  getPlaybackBuffer, applyEdits, editedAnnotations, toOriginalTime, describeEdit, EditHistory, PEAK_TARGET_DB, LOUDNESS_TARGET_DB
+} from './audio-editor.js';
+import { learnNoiseProfile } from './denoise.js';
+import { mixToMono } from './fft.js';
+import { SoundLab } from './sound-lab.js';
+
+export const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.5, 2];
+
+const MIN_SELECTION_PX = 6;   // shorter drags count as a tap
+const DEFAULT_FADE_SECONDS = 1;
+const GAIN_STEP_DB = 3;
+
+export function formatTime(seconds) {
+  const s = Math.max(0, seconds || 0);
+  return `${Math.floor(s / 60)}:${(s % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// A region's band with rounded bounds and one unit: "250–800 Hz" or "0.5–3.2 kHz"
+function formatBand(lowHz, highHz) {
+  if (highHz < 1000) return `${Math.round(lowHz)}–${Math.round(highHz)} Hz`;
+  const kHz = (hz) => Number((hz / 1000).toFixed(1));
+  return `${kHz(lowHz)}–${kHz(highHz)} kHz`;
+}
+
+export class RecordingPlayer {
+  // onPlay/onStop let the app track the player alongside its other playing sounds (Pause All);
+  // onAnnotationsChange(recording) is called after regions are added or removed so the app can save them;
+  // onEditsChange(recording) after recording.edits changes, so the app can save it and re-measure the sound
+  // (returns a promise that settles once it is measured); onAnalyze(recording) measures a sound that was never measured;
+  // getRoomTone() returns the noise profile captured on the Listen tab (or null);
+  // onDerive(recording, result) saves a Sound Lab result as a new recording and resolves with it
+  constructor({
+    onPlay = null, onStop = null, onAnnotationsChange = null, onEditsChange = null, onAnalyze = null, getRoomTone = null, onDerive = null
+  } = {}) {
+    this.onPlay = onPlay;
+    this.onStop = onStop;
+    this.onAnnotationsChange = onAnnotationsChange;
+    this.onEditsChange = onEditsChange;
+    this.onAnalyze = onAnalyze;
+    this.getRoomTone = getRoomTone;
+    this.modal = document.getElementById('playerModal');
+    this.views = document.getElementById('playerViews');
+    this.waveCanvas = document.getElementById('playerWaveform');
+    this.spectrogramImg = document.getElementById('playerSpectrogram');
+    this.playhead = document.getElementById('playerPlayhead');
+    this.regionsEl = document.getElementById('playerRegions');
+    this.selectionEl = document.getElementById('playerSelection');
+    this.playBtn = document.getElementById('playerPlay');
+
+    this.context = null;
+    this.buffer = null;
+    this.source = null;
+    this.recording = null;
+    this.duration = 0;
+    this.playing = false;
+    this.offset = 0;              // position (s) when playback last (re)started or was paused
+    this.startedAt = 0;           // context time of that (re)start
+    this.rate = 1;
+    this.loop = false;
+    this.selection = null;        // { start, end, lowHz, highHz }; Hz bounds are null for the full range
+    this.scale = 'linear';        // frequency axis of the spectrogram picture
+    this.displaySettings = {};
+    this.history = null;          // EditHistory of the open recording
+    this.factsUpdate = null;      // pending re-measure of rhythm and indices (after an edit)
+    this.preview = null;          // { edit, buffer }: a denoised version to compare before keeping it
+    this.abSide = 'A';            // 'A' plays the sound as it is, 'B' the preview
+    this.nyquist = 22050;
+    this.openToken = 0;
+    this.frameId = null;
+    this.drag = null;
+    this.lab = new SoundLab({
+      onPlay: (lab) => {
+        this.pause();
+        if (this.onPlay) this.onPlay(lab);
+      },
+      onStop: (lab) => { if (this.onStop) this.onStop(lab); },
+      onSave: onDerive
+    });
+
+    this._bindControls();
+  }
+
+  async open(recording, displaySettings = {}) {
+    this.close();
+    const token = ++this.openToken;
+    this.recording = recording;
+    this.selection = null;
+    this.offset = 0;
+    this.scale = displaySettings.scale || 'linear';
+    this.displaySettings = displaySettings;
+    this.history = new EditHistory(recording.edits || []);
+    document.getElementById('playerTitle').textContent = recording.label;
+    this.modal.classList.remove('hidden');
+    await this._load(token);
+  }
+
+  // Decode the sound with its edits applied and draw it; also used to redraw after an edit
+  async _load(token) {
+    const recording = this.recording;
+    document.getElementById('playerStatus').textContent = 'Loading…';
+    document.getElementById('playerFacts').innerHTML = '';
+    this.lab.setSource(null, null);
+    this._clearPreview();
+    this._renderEditState();
+
+    const buffer = await getPlaybackBuffer(recording);
+    if (token !== this.openToken) return;
+    this.buffer = buffer;
+    this.lab.setSource(recording, buffer);
+    this.duration = buffer.duration;
+    this.nyquist = buffer.sampleRate / 2;
+    document.getElementById('playerDuration').textContent = formatTime(this.duration);
+    if (!this.factsUpdate && (!recording.rhythm || !recording.ecoIndices) && this.onAnalyze) {
+      this._awaitFacts(this.onAnalyze(recording));
+    }
+    this._renderFacts();
+    this._renderAnnotations();
+
+    const width = this.views.clientWidth || 480;
+    this.waveCanvas.width = width;
+    this.waveCanvas.height = this.waveCanvas.clientHeight || 80;
+    drawWaveform(this.waveCanvas.getContext('2d'), computePeaks(buffer, width), width, this.waveCanvas.height);
+    this._render();
+
+    const { spectrogram } = await analyzeBuffer(buffer, { features: false, spectrogramColumns: plotColumns(width, { axes: false }) });
+    if (token !== this.openToken) return;
+    const { scale, colormap, minDb, maxDb } = this.displaySettings;
+    this.spectrogramImg.src = renderSpectrogramImage(spectrogram, {
+      width,
+      height: this.spectrogramImg.clientHeight || 160,
+      axes: false,
+      scale,
+      colormap,
+      minDb,
+      maxDb
+    });
+    document.getElementById('playerStatus').textContent = '';
+  }
+
+  // Rhythm and soundscape indices as stored on the recording; while the app re-measures them
+  // (after an edit, or for a sound that was never measured) a placeholder is shown instead
+  _renderFacts() {
+    const facts = document.getElementById('playerFacts');
+    const { rhythm: stored, ecoIndices: indices } = this.recording;
+    if (this.factsUpdate || !stored || !indices) {
+      facts.textContent = 'Measuring rhythm and soundscape…';
+      return;
+    }
+    const rhythm = document.createElement('div');
+    rhythm.textContent = describeRhythm(stored);
+    const eco = document.createElement('div');
+    eco.className = 'player-indices';
+    eco.append('🌿 ');
+    ECO_INDICES.forEach(({ key, short, label, description }) => {
+      const item = document.createElement('span');
+      item.title = `${label}: ${description}`;
+      item.textContent = `${short} ${formatEcoIndex(key, indices[key])}`;
+      eco.append(item);
+    });
+    facts.replaceChildren(rhythm, eco);
+  }
+
+  _awaitFacts(analysis) {
+    const recording = this.recording;
+    const update = Promise.resolve(analysis).catch(() => {}).then(() => {
+      if (this.factsUpdate !== update) return;
+      this.factsUpdate = null;
+      if (this.recording === recording && this.buffer) this._renderFacts();
+    });
+    this.factsUpdate = update;
+  }
+
+  close() {
+    this.openToken++;
+    if (this.playing) this.pause();
+    cancelAnimationFrame(this.frameId);
+    this.lab.setSource(null, null);
+    this.factsUpdate = null;
+    this.buffer = null;
+    this.recording = null;
+    this.spectrogramImg.removeAttribute('src');
+    this.modal.classList.add('hidden');
+  }
+
+  // until (seconds) stops playback there instead of at the end, e.g. to play just one annotated region
+  play({ until = null } = {}) {
+    if (!this.buffer || this.playing) return;
+    this.lab.pause();
+    if (!this.context) this.context = new (window.AudioContext || window.webkitAudioContext)();
+    this.context.resume();
+
+    const src = this.context.createBufferSource();
+    src.buffer = this.abSide === 'B' && this.preview ? this.preview.buffer : this.buffer;
+    src.playbackRate.value = this.rate;
+    if (this.loop && this.selection) {
+      src.loop = true;
+      src.loopStart = this.selection.start;
+      src.loopEnd = this.selection.end;
+      if (this.offset < this.selection.start || this.offset >= this.selection.end) this.offset = this.selection.start;
+    } else if (this.offset >= this.duration) {
+      this.offset = 0;
+    }
+    src.connect(this.context.destination);
+    src.onended = () => {
+      if (this.source !== src) return;
+      this.source = null;
+      this.playing = false;
+      this.offset = this.selection ? this.selection.start : 0;
+      this._render();
+      if (this.onStop) this.onStop(this);
+    };
+    if (until !== null && !src.loop) src.start(0, this.offset, Math.max(0, until - this.offset));
+    else src.start(0, this.offset);
+    this.source = src;
+    this.startedAt = this.context.currentTime;
+    this.playing = true;
+    if (this.onPlay) this.onPlay(this);
+    this._tick();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.offset = this.position();
+    this._stopSource();
+    this.playing = false;
+    this._render();
+    if (this.onStop) this.onStop(this);
+  }
+
+  toggle() {
+    if (this.playing) this.pause(); else this.play();
+  }
+
+  position() {
+    if (!this.playing) return this.offset;
+    let pos = this.offset + (this.context.currentTime - this.startedAt) * this.rate;
+    if (this.source && this.source.loop) {
+      const { loopStart, loopEnd } = this.source;
+      if (pos >= loopEnd) pos = loopStart + (pos - loopStart) % (loopEnd - loopStart);
+    }
+    return Math.min(pos, this.duration);
+  }
+
+  seek(seconds) {
+    const wasPlaying = this.playing;
+    if (wasPlaying) {
+      this._stopSource();
+      this.playing = false;
+    }
+    this.offset = Math.max(0, Math.min(this.duration, seconds));
+    if (wasPlaying) this.play(); else this._render();
+  }
+
+  setRate(rate) {
+    if (this.playing) {
+      this.offset = this.position();
+      this.startedAt = this.context.currentTime;
+      this.source.playbackRate.value = rate;
+    }
+    this.rate = rate;
+  }
+
+  setLoop(loop) {
+    this.loop = loop;
+    if (this.playing) this.seek(this.position()); // restart with the new loop points
+  }
+
+  setSelection(selection) {
+    this.selection = selection;
+    this._render();
+    if (this.loop && this.playing) this.seek(selection ? selection.start : this.position());
+  }
+
+  playRegion(region) {
+    this.setSelection({ start: region.start, end: region.end, lowHz: region.lowHz, highHz: region.highHz });
+    this.pause();
+    this.offset = region.start;
+    this.play({ until: region.end });
+  }
+
+  addAnnotation() {
+    if (!this.recording || !this.selection) return;
+    const labelInput = document.getElementById('annotationLabel');
+    const tagsInput = document.getElementById('annotationTags');
+    // Regions are stored against the original audio so they survive trims and undo
+    const edits = this.recording.edits || [];
+    const annotation = createAnnotation({
+      ...this.selection,
+      start: toOriginalTime(edits, this.selection.start),
+      end: toOriginalTime(edits, this.selection.end),
+      label: labelInput.value,
+      tags: parseTagList(tagsInput.value)
+    });
+    this.recording.annotations = sortAnnotations([...(this.recording.annotations || []), annotation]);
+    labelInput.value = '';
+    tagsInput.value = '';
+    this.setSelection(null);
+    this._renderAnnotations();
+    if (this.onAnnotationsChange) this.onAnnotationsChange(this.recording);
+  }
+
+  deleteAnnotation(id) {
+    if (!this.recording) return;
+    this.recording.annotations = (this.recording.annotations || []).filter(a => a.id !== id);
+    this._renderAnnotations();
+    if (this.onAnnotationsChange) this.onAnnotationsChange(this.recording);
+  }
+
+  applyEdit(edit) {
+    if (!this.history) return;
+    this.history.push(edit);
+    this._commitEdits();
+  }
+
+  undoEdit() {
+    this.history?.undo();
+    this._commitEdits();
+  }
+
+  redoEdit() {
+    this.history?.redo();
+    this._commitEdits();
+  }
+
+  revertEdits() {
+    this.history?.revert();
+    this._commitEdits();
+  }
+
+  _commitEdits() {
+    if (!this.recording) return;
+    this.pause();
+    this.offset = 0;
+    this.selection = null;
+    this.recording.edits = this.history.edits;
+    if (this.onEditsChange) this._awaitFacts(this.onEditsChange(this.recording));
+    this._load(++this.openToken).catch(err => {
+      console.error('Could not apply edits', err);
+      document.getElementById('playerStatus').textContent = 'This edit could not be applied.';
+    });
+  }
+
+  // Edit buttons that act on the picked part (trim) or its edges (fades); without a pick fades are 1 s long
+  _editFromButton(kind) {
+    const sel = this.selection;
+    switch (kind) {
+      case 'trim': return sel ? { type: 'trim', start: sel.start, end: sel.end } : null;
+      case 'fadeIn': return { type: 'fadeIn', seconds: sel ? sel.end : Math.min(DEFAULT_FADE_SECONDS, this.duration) };
+      case 'fadeOut': return { type: 'fadeOut', seconds: sel ? this.duration - sel.start : Math.min(DEFAULT_FADE_SECONDS, this.duration) };
+      case 'peak': return { type: 'normalize', mode: 'peak', targetDb: PEAK_TARGET_DB };
+      case 'loudness': return { type: 'normalize', mode: 'loudness', targetDb: LOUDNESS_TARGET_DB };
+      case 'louder': return { type: 'gain', db: GAIN_STEP_DB };
+      case 'quieter': return { type: 'gain', db: -GAIN_STEP_DB };
+      default: return null;
+    }
+  }
+
+  _renderEditState() {
+    const edits = this.history ? this.history.edits : [];
+    document.getElementById('editUndo').disabled = !this.history?.canUndo;
+    document.getElementById('editRedo').disabled = !this.history?.canRedo;
+    document.getElementById('editRevert').disabled = !edits.length;
+    document.getElementById('editSummary').textContent = edits.length
+      ? `Changes: ${edits.map(describeEdit).join(' → ')}`
+      : 'This is the original sound.';
+  }
+
+  // Noise profile from the picked (noise-only) part or the room tone, applied to a copy for A/B listening
+  async previewDenoise() {
+    if (!this.buffer) return;
+    const status = document.getElementById('denoiseStatus');
+    const source = document.querySelector('input[name="noiseSource"]:checked').value;
+    let profile;
+    if (source === 'roomTone') {
+      profile = this.getRoomTone ? this.getRoomTone() : null;
+      if (!profile) {
+        status.textContent = 'No room tone yet: press CAPTURE ROOM TONE on the Listen tab first.';
+        return;
+      }
+    } else {
+      if (!this.selection) {
+        status.textContent = 'First drag across a part where you only hear the noise.';
+        return;
+      }
+      const from = Math.floor(this.selection.start * this.buffer.sampleRate);
+      const to = Math.ceil(this.selection.end * this.buffer.sampleRate);
+      profile = learnNoiseProfile(mixToMono(this.buffer).subarray(from, to), this.buffer.sampleRate);
+      if (!profile) {
+        status.textContent = 'Pick a longer quiet part.';
+        return;
+      }
+    }
+    const strength = parseInt(document.getElementById('denoiseStrength').value, 10) / 100;
+    const edit = { type: 'denoise', profile, strength, source };
+    const buffer = this.buffer;
+    status.textContent = 'Cleaning up the noise…';
+    let preview;
+    try {
+      preview = await applyEdits(buffer, [edit]);
+    } catch (err) {
+      console.error('Noise clean-up failed', err);
+      status.textContent = 'Could not clean up this sound.';
+      return;
+    }
+    if (this.buffer !== buffer) return; // closed, edited or switched to another sound meanwhile
+    this.preview = { edit, buffer: preview };
+    status.textContent = 'Switch between A (before) and B (after), then keep it or try another strength.';
+    this.setABSide('B');
+    if (!this.playing) this.play();
+  }
+
+  setABSide(side) {
+    this.abSide = side === 'B' && this.preview ? 'B' : 'A';
+    if (this.playing) this.seek(this.position()); // restart on the other version at the same point
+    this._renderPreviewState();
+  }
+
+  applyDenoise() {
+    if (!this.preview) return;
+    const { edit } = this.preview;
+    document.getElementById('denoiseStatus').textContent = '';
+    this.applyEdit(edit);
+  }
+
+  _clearPreview() {
+    const wasB = this.abSide === 'B';
+    this.preview = null;
+    this.abSide = 'A';
+    if (wasB && this.playing) this.seek(this.position());
+    this._renderPreviewState();
+  }
+
+  _renderPreviewState() {
+    ['A', 'B'].forEach(side => {
+      const btn = document.getElementById(`denoise${side}`);
+      btn.disabled = !this.preview;
+      btn.classList.toggle('active', !!this.preview && this.abSide === side);
+    });
+    document.getElementById('denoiseApply').disabled = !this.preview;
+  }
+
+  _annotations() {
+    return editedAnnotations(this.recording?.annotations || [], this.recording?.edits || []);
+  }
+
+  _stopSource() {
+    if (!this.source) return;
+    this.source.onended = null;
+    try { this.source.stop(); } catch {}
+    this.source = null;
+  }
+
+  _tick() {
+    cancelAnimationFrame(this.frameId);
+    this._render();
+    if (this.playing) this.frameId = requestAnimationFrame(() => this._tick());
+  }
+
+  _render() {
+    const pos = this.position();
+    const pct = this.duration ? pos / this.duration * 100 : 0;
+    this.playhead.style.left = `${pct}%`;
+    document.getElementById('playerTime').textContent = formatTime(pos);
+    this.playBtn.textContent = this.playing ? '⏸️ Pause' : '▶️ Play';
+    if (this.selection && this.duration) {
+      this.selectionEl.classList.remove('hidden');
+      this._placeBox(this.selectionEl, this.selection);
+    } else {
+      this.selectionEl.classList.add('hidden');
+    }
+    document.getElementById('annotationAdd').disabled = !this.selection;
+    document.querySelector('#playerEdit [data-edit="trim"]').disabled = !this.selection;
+  }
+
+  // Position a box over the spectrogram (percentages, so it follows the picture when the modal resizes)
+  _placeBox(el, { start, end, lowHz, highHz }) {
+    const top = 1 - hzToPosition(highHz ?? this.nyquist, this.scale, this.nyquist);
+    const bottom = 1 - hzToPosition(lowHz ?? 0, this.scale, this.nyquist);
+    el.style.left = `${start / this.duration * 100}%`;
+    el.style.width = `${(end - start) / this.duration * 100}%`;
+    el.style.top = `${top * 100}%`;
+    el.style.height = `${(bottom - top) * 100}%`;
+  }
+
+  _describeRegion(a) {
+    const freq = a.lowHz === null ? '' : ` • ${formatBand(a.lowHz, a.highHz)}`;
+    return `${formatTime(a.start)}–${formatTime(a.end)}${freq}`;
+  }
+
+  _renderAnnotations() {
+    const annotations = this._annotations();
+    this.regionsEl.querySelectorAll('.player-region').forEach(el => el.remove());
+    annotations.forEach(a => {
+      const box = document.createElement('div');
+      box.className = 'player-region';
+      box.textContent = a.label;
+      this._placeBox(box, a);
+      this.regionsEl.appendChild(box);
+    });
+
+    // Labels and tags are typed by the user, so the list is built from nodes rather than markup
+    const element = (tag, className, text) => {
+      const el = document.createElement(tag);
+      if (className) el.className = className;
+      if (text !== undefined) el.textContent = text;
+      return el;
+    };
+    const button = (className, id, label, icon) => {
+      const btn = element('button', `btn-icon ${className}`, icon);
+      btn.dataset.id = id;
+      btn.setAttribute('aria-label', label);
+      return btn;
+    };
+    document.getElementById('annotationList').replaceChildren(...annotations.map(a => {
+      const item = element('li', 'annotation-item');
+      item.dataset.id = a.id;
+      const text = element('div', 'annotation-text');
+      text.append(element('strong', '', a.label), element('span', '', this._describeRegion(a)));
+      if (a.tags.length) {
+        const tags = element('span');
+        tags.append(...a.tags.map(t => element('span', 'tag-chip', t)));
+        text.append(tags);
+      }
+      item.append(
+        button('annotation-play', a.id, 'Play this part', '▶️'),
+        text,
+        button('annotation-delete', a.id, 'Delete note', '🗑️')
+      );
+      return item;
+    }));
+  }
+
+  _timeAt(e) {
+    const rect = this.views.getBoundingClientRect();
+    return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * this.duration;
+  }
+
+  _freqAt(e) {
+    const rect = this.spectrogramImg.getBoundingClientRect();
+    const position = 1 - Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+    return positionToHz(position, this.scale, this.nyquist);
+  }
+
+  _bindControls() {
+    this.playBtn.addEventListener('click', () => this.toggle());
+    document.getElementById('closePlayer').addEventListener('click', () => this.close());
+    document.getElementById('playerLoop').addEventListener('change', (e) => this.setLoop(e.target.checked));
+    const rateSelect = document.getElementById('playerRate');
+    rateSelect.innerHTML = PLAYBACK_RATES.map(r => `<option value="${r}" ${r === 1 ? 'selected' : ''}>${r}×</option>`).join('');
+    rateSelect.addEventListener('change', (e) => this.setRate(parseFloat(e.target.value)));
+    document.getElementById('annotationAdd').addEventListener('click', () => this.addAnnotation());
+    document.getElementById('playerEdit').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-edit]');
+      const edit = btn && this.buffer ? this._editFromButton(btn.dataset.edit) : null;
+      if (edit) this.applyEdit(edit);
+    });
+    document.getElementById('denoisePreview').addEventListener('click', () => this.previewDenoise());
+    document.getElementById('denoiseA').addEventListener('click', () => this.setABSide('A'));
+    document.getElementById('denoiseB').addEventListener('click', () => this.setABSide('B'));
+    document.getElementById('denoiseApply').addEventListener('click', () => this.applyDenoise());
+    document.getElementById('denoiseStrength').addEventListener('input', (e) => {
+      document.getElementById('denoiseStrengthValue').textContent = `${e.target.value}%`;
+      if (this.preview) {
+        this._clearPreview();
+        document.getElementById('denoiseStatus').textContent = 'Press Try it again to hear the new strength.';
+      }
+    });
+    document.getElementById('editUndo').addEventListener('click', () => this.undoEdit());
+    document.getElementById('editRedo').addEventListener('click', () => this.redoEdit());
+    document.getElementById('editRevert').addEventListener('click', () => this.revertEdits());
+    document.getElementById('annotationList').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-id]');
+      if (!btn) return;
+      const annotation = this._annotations().find(a => a.id === btn.dataset.id);
+      if (!annotation) return;
+      if (btn.classList.contains('annotation-play')) this.playRegion(annotation);
+      else if (btn.classList.contains('annotation-delete')) this.deleteAnnotation(annotation.id);
+    });
+
+    // Waveform: tap or drag to seek (playback resumes from where the drag ends)
+    this.waveCanvas.addEventListener('pointerdown', (e) => {
+      if (!this.buffer) return;
+      this.waveCanvas.setPointerCapture(e.pointerId);
+      this.drag = { type: 'scrub', resume: this.playing };
+      this.pause();
+      this.seek(this._timeAt(e));
+    });
+    this.waveCanvas.addEventListener('pointermove', (e) => {
+      if (this.drag?.type === 'scrub') this.seek(this._timeAt(e));
+    });
+
+    // Spectrogram: drag to select, tap to seek
+    this.spectrogramImg.addEventListener('pointerdown', (e) => {
+      if (!this.buffer) return;
+      e.preventDefault();
+      this.spectrogramImg.setPointerCapture(e.pointerId);
+      this.drag = { type: 'select', startX: e.clientX, startY: e.clientY, startTime: this._timeAt(e), startHz: this._freqAt(e) };
+    });
+    this.spectrogramImg.addEventListener('pointermove', (e) => {
+      if (this.drag?.type !== 'select' || Math.abs(e.clientX - this.drag.startX) < MIN_SELECTION_PX) return;
+      const t = this._timeAt(e);
+      // A mostly horizontal drag selects every frequency; a box drag also sets low/high bounds
+      const hz = this._freqAt(e);
+      const banded = Math.abs(e.clientY - this.drag.startY) >= MIN_SELECTION_PX;
+      this.selection = {
+        start: Math.min(t, this.drag.startTime),
+        end: Math.max(t, this.drag.startTime),
+        lowHz: banded ? Math.min(hz, this.drag.startHz) : null,
+        highHz: banded ? Math.max(hz, this.drag.startHz) : null
+      };
+      this._render();
+    });
+
+    const release = (e) => {
+      const drag = this.drag;
+      this.drag = null;
+      if (!drag) return;
+      if (drag.type === 'scrub') {
+        if (drag.resume) this.play();
+      } else if (Math.abs(e.clientX - drag.startX) < MIN_SELECTION_PX) {
+        this.setSelection(null);
+        this.seek(drag.startTime);
+      } else {
+        this.setSelection(this.selection);
+      }
+    };
+    [this.waveCanvas, this.spectrogramImg].forEach(el => {
+      el.addEventListener('pointerup', release);
+      el.addEventListener('pointercancel', release);
+    });
+  }
+}
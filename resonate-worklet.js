@@ -0,0 +1,68 @@
+// Runs on the audio thread: a tunable resonator for the Sound Lab. A feedback delay one period long
+// rings at `frequency` and its harmonics, like a plucked string sympathetically picking up the sound;
+// `damping` darkens each trip round the loop and `mix` blends the ringing with the dry input.
+class ResonatorProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'frequency', defaultValue: 220, minValue: 20, maxValue: 2000, automationRate: 'k-rate' },
+      { name: 'feedback', defaultValue: 0.9, minValue: 0, maxValue: 0.995, automationRate: 'k-rate' },
+      { name: 'damping', defaultValue: 0.3, minValue: 0, maxValue: 0.95, automationRate: 'k-rate' },
+      { name: 'mix', defaultValue: 0.5, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.size = Math.ceil(sampleRate / 20) + 2;   // longest period (lowest frequency) plus interpolation room
+    this.lines = [];
+    this.lowpass = [];
+    this.write = 0;
+  }
+
+  _line(c) {
+    while (this.lines.length <= c) {
+      this.lines.push(new Float32Array(this.size));
+      this.lowpass.push(0);
+    }
+    return this.lines[c];
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const period = Math.min(this.size - 2, sampleRate / parameters.frequency[0]);
+    const feedback = parameters.feedback[0];
+    const damping = parameters.damping[0];
+    const mix = parameters.mix[0];
+    // Keeps broadband input at about the same loudness whatever the feedback; the ringing peaks are soft-clipped
+    const wetGain = Math.sqrt(1 - feedback * feedback);
+    const frames = output[0].length;
+    let write = this.write;
+
+    for (let c = 0; c < output.length; c++) {
+      const line = this._line(c);
+      const src = input[c] || input[0];
+      const out = output[c];
+      let lp = this.lowpass[c];
+      write = this.write;
+      for (let i = 0; i < frames; i++) {
+        const x = src ? src[i] : 0;
+        let read = write - period;
+        if (read < 0) read += this.size;
+        const i0 = Math.floor(read);
+        const frac = read - i0;
+        const delayed = line[i0] * (1 - frac) + line[(i0 + 1) % this.size] * frac;
+        lp += (1 - damping) * (delayed - lp);
+        const y = x + feedback * lp;
+        line[write] = y;
+        out[i] = x * (1 - mix) + mix * Math.tanh(y * wetGain);
+        if (++write === this.size) write = 0;
+      }
+      this.lowpass[c] = lp;
+    }
+    this.write = write;
+    return true;
+  }
+}
+
+registerProcessor('resonator', ResonatorProcessor);
@@ -0,0 +1,108 @@
+// Rhythm and periodicity of a decoded recording: an onset envelope (rise in log energy every 10 ms)
+// and its autocorrelation give how often the sound repeats and how regular it is.
+
+export const RHYTHM_HOP_MS = 10;
+const SILENCE_DB = -60;          // frames quieter than this never start an onset
+const ONSET_MIN_RISE_DB = 3;     // smallest energy jump (per hop) that counts as a hit
+const ONSET_MIN_GAP_MS = 50;     // hits closer than this are merged
+const MIN_PERIOD_MS = 150;       // 400 repeats a minute
+const MAX_PERIOD_MS = 2000;      // 30 repeats a minute
+
+// buffer: AudioBuffer (or anything with numberOfChannels, sampleRate, length and getChannelData).
+// Returns { onsetCount, onsetRate (per s), periodMs, bpm, regularity (0..1) }; periodMs/bpm are null when nothing repeats.
+export function analyzeRhythm(buffer, { hopMs = RHYTHM_HOP_MS } = {}) {
+  const envelope = onsetEnvelope(buffer, hopMs);
+  const seconds = buffer.length / buffer.sampleRate;
+  const onsets = pickOnsets(envelope, hopMs);
+  // Without at least two hits there is nothing to repeat (steady tones still wobble a little)
+  const period = onsets.length >= 2 ? strongestPeriod(envelope, hopMs) : null;
+  return {
+    onsetCount: onsets.length,
+    onsetRate: seconds > 0 ? Math.round(onsets.length / seconds * 100) / 100 : 0,
+    periodMs: period ? period.lag * hopMs : null,
+    bpm: period ? Math.round(60000 / (period.lag * hopMs)) : null,
+    regularity: period ? Math.round(period.strength * 100) / 100 : 0
+  };
+}
+
+// Half-wave rectified change in log energy between consecutive hops, all channels mixed
+function onsetEnvelope(buffer, hopMs) {
+  const hop = Math.max(1, Math.round(buffer.sampleRate * hopMs / 1000));
+  const frames = Math.floor(buffer.length / hop);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const energyDb = new Float32Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    channels.forEach(data => {
+      for (let i = f * hop; i < (f + 1) * hop; i++) sum += data[i] * data[i];
+    });
+    energyDb[f] = 10 * Math.log10(sum / (hop * channels.length) + 1e-12);
+  }
+  const envelope = new Float32Array(frames);
+  for (let f = 1; f < frames; f++) {
+    envelope[f] = energyDb[f] > SILENCE_DB ? Math.max(0, energyDb[f] - energyDb[f - 1]) : 0;
+  }
+  return envelope;
+}
+
+// Local maxima that stand out from the envelope's typical level; returns frame indices
+function pickOnsets(envelope, hopMs) {
+  const n = envelope.length;
+  if (!n) return [];
+  const mean = envelope.reduce((a, b) => a + b, 0) / n;
+  const std = Math.sqrt(envelope.reduce((a, b) => a + (b - mean) * (b - mean), 0) / n);
+  const threshold = Math.max(ONSET_MIN_RISE_DB, mean + std);
+  const minGap = Math.ceil(ONSET_MIN_GAP_MS / hopMs);
+  const onsets = [];
+  for (let f = 1; f < n - 1; f++) {
+    if (envelope[f] < threshold || envelope[f] < envelope[f - 1] || envelope[f] < envelope[f + 1]) continue;
+    const last = onsets[onsets.length - 1];
+    if (last !== undefined && f - last < minGap) {
+      if (envelope[f] > envelope[last]) onsets[onsets.length - 1] = f;
+      continue;
+    }
+    onsets.push(f);
+  }
+  return onsets;
+}
+
+// Highest autocorrelation peak of the mean-removed envelope within the tempo range: { lag (hops), strength (0..1) }
+function strongestPeriod(envelope, hopMs) {
+  const n = envelope.length;
+  const minLag = Math.round(MIN_PERIOD_MS / hopMs);
+  const maxLag = Math.min(Math.round(MAX_PERIOD_MS / hopMs), Math.floor(n / 2));
+  if (maxLag <= minLag + 1) return null;
+
+  const mean = envelope.reduce((a, b) => a + b, 0) / n;
+  const x = envelope.map(v => v - mean);
+  let energy = 0;
+  for (let i = 0; i < n; i++) energy += x[i] * x[i];
+  if (energy < 1e-6) return null;
+
+  // Unbiased (per-overlap) correlation so long lags aren't penalised for overlapping less
+  const r = new Float32Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1 && lag < n; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) sum += x[i] * x[i + lag];
+    r[lag] = (sum / (n - lag)) / (energy / n);
+  }
+  let best = null;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (r[lag] <= 0 || r[lag] < r[lag - 1] || r[lag] < r[lag + 1]) continue;
+    if (!best || r[lag] > best.strength) best = { lag, strength: r[lag] };
+  }
+  if (best) best.strength = Math.min(1, best.strength);
+  return best;
+}
+
+// A clear, repeating pattern (used by the Pattern Pro mission and the "rhythmic" tag)
+export function isRhythmic(rhythm) {
+  return !!rhythm && rhythm.bpm !== null && rhythm.onsetCount >= 4 && rhythm.regularity >= 0.4;
+}
+
+export function describeRhythm(rhythm) {
+  if (!rhythm) return '';
+  const hits = `${rhythm.onsetCount} hit${rhythm.onsetCount === 1 ? '' : 's'}`;
+  if (!isRhythmic(rhythm)) return `🥁 ${hits}, no steady beat`;
+  return `🥁 ${rhythm.bpm} beats a minute • ${Math.round(rhythm.regularity * 100)}% regular • ${hits}`;
+}
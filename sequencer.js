@@ -0,0 +1,467 @@
+// Step sequencer: each row plays a short slice of a recording, each column is a sixteenth-note step.
+// A pattern is a project object ({ type: 'pattern', bpm, swing, steps, rows }) stored next to the mixes.
+// Hits are scheduled ahead on the AudioContext clock (a short timer tops up the next SCHEDULE_AHEAD seconds),
+// so timing stays sample-accurate while the page is busy. In a background tab the timer may only run about once
+// a second; steps it missed are skipped rather than played late in a burst. The WAV export schedules the same hits offline.
+import { encodeWav } from './audio-convert.js';
+import { loadPlaybackBuffers, mixdownSampleRate } from './audio-editor.js';
+
+export const STEP_COUNTS = [8, 16, 32];
+export const VELOCITIES = [1, 0.66, 0.33];   // a tap cycles off -> loud -> medium -> soft -> off
+const SCHEDULE_AHEAD = 0.1;    // seconds of hits queued on the audio clock
+const TIMER_MS = 25;           // how often the queue is topped up
+const DEFAULT_SLICE = 0.5;
+const MAX_SLICE = 2;
+const RELEASE = 0.005;         // fade at the end of a slice so it doesn't click
+const SAVE_DELAY_MS = 500;
+
+export function createPattern(name = 'My beat') {
+  const now = Date.now();
+  return { id: `pattern-${now}`, type: 'pattern', name, createdAt: now, updatedAt: now, bpm: 100, swing: 0.5, steps: 16, loops: 4, rows: [] };
+}
+
+export function createRow(recordingId, steps) {
+  return {
+    id: `row-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    recordingId,
+    start: 0,                 // slice of the recording, in seconds
+    length: DEFAULT_SLICE,
+    volume: 1,
+    steps: new Array(steps).fill(0)   // velocity per step, 0 = off
+  };
+}
+
+export const stepSeconds = (pattern) => 60 / pattern.bpm / 4;
+
+// Swing (0.5 = straight, 0.75 = heavy shuffle) is the share of each pair of steps the first one gets
+export function swingDelay(pattern, step) {
+  return step % 2 ? (pattern.swing - 0.5) * 2 * stepSeconds(pattern) : 0;
+}
+
+// Start one step's hits at context time `time`; returns the sources
+function triggerStep(context, destination, pattern, buffers, step, time) {
+  const sources = [];
+  pattern.rows.forEach(row => {
+    const velocity = row.steps[step];
+    const buffer = buffers.get(row.recordingId);
+    if (!velocity || !buffer) return;
+    const start = Math.min(row.start, Math.max(0, buffer.duration - 0.01));
+    const length = Math.min(row.length, buffer.duration - start);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    const gain = context.createGain();
+    const level = row.volume * velocity;
+    gain.gain.setValueAtTime(level, time);
+    gain.gain.setValueAtTime(level, time + Math.max(0, length - RELEASE));
+    gain.gain.linearRampToValueAtTime(0, time + length);
+    source.connect(gain).connect(destination);
+    source.start(time, start, length);
+    sources.push(source);
+  });
+  return sources;
+}
+
+export function loadPatternBuffers(pattern, recordings, cache) {
+  return loadPlaybackBuffers(pattern.rows.map(r => r.recordingId), recordings, cache);
+}
+
+// The pattern played pattern.loops times (plus the last slices ringing out) as a stereo 16-bit WAV, or null if empty
+export async function renderPatternWav(pattern, recordings, cache) {
+  const buffers = await loadPatternBuffers(pattern, recordings, cache);
+  const hasHits = pattern.rows.some(r => buffers.has(r.recordingId) && r.steps.some(v => v > 0));
+  if (!hasHits) return null;
+  const bar = pattern.steps * stepSeconds(pattern);
+  const tail = Math.max(...pattern.rows.map(r => r.length));
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const sampleRate = mixdownSampleRate(buffers);
+  const context = new Offline(2, Math.ceil((pattern.loops * bar + tail) * sampleRate), sampleRate);
+  for (let loop = 0; loop < pattern.loops; loop++) {
+    for (let step = 0; step < pattern.steps; step++) {
+      const time = loop * bar + step * stepSeconds(pattern) + swingDelay(pattern, step);
+      triggerStep(context, context.destination, pattern, buffers, step, time);
+    }
+  }
+  const rendered = await context.startRendering();
+  return encodeWav([rendered.getChannelData(0), rendered.getChannelData(1)], rendered.sampleRate);
+}
+
+export class Sequencer {
+  // getRecordings() returns the library; onPlay/onStop(sequencer) let the app pause it with its other sounds
+  constructor({ storage, getRecordings, onPlay = null, onStop = null }) {
+    this.storage = storage;
+    this.getRecordings = getRecordings;
+    this.onPlay = onPlay;
+    this.onStop = onStop;
+    this.patterns = [];
+    this.pattern = null;
+    this.buffers = new Map();
+    this.cache = new Map();
+    this.context = null;
+    this.playing = false;
+    this.timer = null;
+    this.nextStep = 0;
+    this.nextStepTime = 0;
+    this.queue = [];          // { step, time } of scheduled steps, for the moving column highlight
+    this.voices = new Set();  // sources that are scheduled or sounding
+    this.shownStep = -1;
+    this.frameId = null;
+    this.saveTimer = null;
+    this.loaded = false;
+
+    this._bindControls();
+  }
+
+  async load() {
+    this.patterns = (await this.storage.getAllProjects('pattern')).sort((a, b) => b.updatedAt - a.updatedAt);
+    if (!this.patterns.length) this.patterns = [createPattern()];
+    this.loaded = true;
+    await this.open(this.patterns[0].id);
+  }
+
+  // Called when the tab is shown, so newly recorded or deleted sounds are picked up
+  async show() {
+    if (!this.loaded) return this.load();
+    await this._loadBuffers();
+    this.render();
+  }
+
+  async open(id) {
+    this.pause();
+    this.pattern = this.patterns.find(p => p.id === id) || this.patterns[0];
+    await this._loadBuffers();
+    this.render();
+  }
+
+  async newPattern() {
+    await this._saveNow();
+    const pattern = createPattern(`Beat ${this.patterns.length + 1}`);
+    this.patterns.unshift(pattern);
+    await this.open(pattern.id);
+  }
+
+  async deletePattern() {
+    if (!this.pattern || !confirm(`Delete the beat “${this.pattern.name}”? The sounds in it are kept.`)) return;
+    this.pause();
+    clearTimeout(this.saveTimer);
+    await this.storage.deleteProject(this.pattern.id);
+    this.patterns = this.patterns.filter(p => p !== this.pattern);
+    if (!this.patterns.length) this.patterns = [createPattern()];
+    await this.open(this.patterns[0].id);
+  }
+
+  async addRow(recordingId) {
+    if (!this.pattern || !recordingId) return;
+    this.pattern.rows.push(createRow(recordingId, this.pattern.steps));
+    this._changed();
+    await this._loadBuffers();
+    this.render();
+  }
+
+  removeRow(rowId) {
+    this.pattern.rows = this.pattern.rows.filter(r => r.id !== rowId);
+    this._changed();
+    this.render();
+  }
+
+  // Tap: off -> loud -> medium -> soft -> off
+  cycleStep(rowId, step) {
+    const row = this.pattern.rows.find(r => r.id === rowId);
+    if (!row) return;
+    const index = VELOCITIES.indexOf(row.steps[step]);
+    row.steps[step] = index === -1 ? VELOCITIES[0] : (VELOCITIES[index + 1] || 0);
+    this._changed();
+    this._renderStep(row, step);
+  }
+
+  updateRow(rowId, field, value) {
+    const row = this.pattern.rows.find(r => r.id === rowId);
+    if (!row) return;
+    row[field] = value;
+    this._changed();
+    this._renderRowValues(row);
+  }
+
+  setSteps(steps) {
+    this.pattern.steps = steps;
+    this.pattern.rows.forEach(row => {
+      row.steps = Array.from({ length: steps }, (_, i) => row.steps[i] || 0);
+    });
+    if (this.nextStep >= steps) this.nextStep = 0;
+    this._changed();
+    this.render();
+  }
+
+  play() {
+    if (this.playing || !this.pattern) return;
+    if (!this.context) this.context = new (window.AudioContext || window.webkitAudioContext)();
+    this.context.resume();
+    this.playing = true;
+    this.nextStep = 0;
+    this.nextStepTime = this.context.currentTime + 0.05;
+    this.queue = [];
+    this._schedule();
+    this.timer = setInterval(() => this._schedule(), TIMER_MS);
+    this._renderTransport();
+    if (this.onPlay) this.onPlay(this);
+    this._tick();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.voices.forEach(source => {
+      source.onended = null;
+      try { source.stop(); } catch {}
+    });
+    this.voices.clear();
+    this.queue = [];
+    this.playing = false;
+    this._highlight(-1);
+    this._renderTransport();
+    if (this.onStop) this.onStop(this);
+  }
+
+  toggle() {
+    if (this.playing) this.pause(); else this.play();
+  }
+
+  // Queue every step that starts before currentTime + SCHEDULE_AHEAD; tempo, swing and taps apply from the next step
+  _schedule() {
+    const pattern = this.pattern;
+    const now = this.context.currentTime;
+    // The timer was held back (background tab): jump to the next step still ahead, silently
+    if (this.nextStepTime < now) {
+      const step = stepSeconds(pattern);
+      const missed = Math.ceil((now - this.nextStepTime) / step);
+      this.nextStepTime += missed * step;
+      this.nextStep = (this.nextStep + missed) % pattern.steps;
+    }
+    // The highlight doesn't run while hidden either; only the latest step that has started still matters
+    const started = this.queue.filter(q => q.time <= now).length;
+    if (started > 1) this.queue.splice(0, started - 1);
+    while (this.nextStepTime < this.context.currentTime + SCHEDULE_AHEAD) {
+      const time = this.nextStepTime + swingDelay(pattern, this.nextStep);
+      triggerStep(this.context, this.context.destination, pattern, this.buffers, this.nextStep, time).forEach(source => {
+        this.voices.add(source);
+        source.onended = () => this.voices.delete(source);
+      });
+      this.queue.push({ step: this.nextStep, time });
+      this.nextStepTime += stepSeconds(pattern);
+      this.nextStep = (this.nextStep + 1) % pattern.steps;
+    }
+  }
+
+  async exportWav() {
+    if (!this.pattern) return;
+    const btn = document.getElementById('seqExport');
+    btn.disabled = true;
+    this._status('Making your WAV…');
+    try {
+      const blob = await renderPatternWav(this.pattern, this.getRecordings(), this.cache);
+      if (!blob) {
+        this._status('Add a sound and tap some steps first.');
+        return;
+      }
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${this.pattern.name.replace(/[^a-z0-9\-_\s]/gi, '').trim().replace(/\s+/g, '_') || 'beat'}.wav`;
+      a.click();
+      URL.revokeObjectURL(url);
+      this._status('');
+    } catch (err) {
+      console.error('Beat export failed', err);
+      this._status('Sorry, the beat could not be exported.');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  async _loadBuffers() {
+    if (!this.pattern) return;
+    const pattern = this.pattern;
+    try {
+      const buffers = await loadPatternBuffers(pattern, this.getRecordings(), this.cache);
+      if (pattern === this.pattern) this.buffers = buffers;
+    } catch (err) {
+      console.error('Could not load beat sounds', err);
+      this._status('Some sounds could not be loaded.');
+    }
+  }
+
+  _changed() {
+    this.pattern.updatedAt = Date.now();
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this._saveNow(), SAVE_DELAY_MS);
+  }
+
+  async _saveNow() {
+    clearTimeout(this.saveTimer);
+    if (!this.pattern) return;
+    try {
+      await this.storage.saveProject(this.pattern);
+    } catch (err) {
+      console.error('Could not save beat', err);
+      this._status('The beat could not be saved.');
+    }
+  }
+
+  _status(text) {
+    document.getElementById('seqStatus').textContent = text;
+  }
+
+  _recordingLabel(id) {
+    const recording = this.getRecordings().find(r => r.id === id);
+    return recording ? recording.label : '(sound deleted)';
+  }
+
+  render() {
+    if (!this.pattern) return;
+    const p = this.pattern;
+    const recordings = this.getRecordings();
+
+    const select = document.getElementById('seqSelect');
+    select.innerHTML = this.patterns.map(pattern => `<option value="${pattern.id}">${pattern.name}</option>`).join('');
+    select.value = p.id;
+    document.getElementById('seqName').value = p.name;
+    document.getElementById('seqTempo').value = p.bpm;
+    document.getElementById('seqSwing').value = Math.round(p.swing * 100);
+    document.getElementById('seqLoops').value = p.loops;
+    document.getElementById('seqSteps').innerHTML = STEP_COUNTS.map(n => `<option value="${n}">${n} steps</option>`).join('');
+    document.getElementById('seqSteps').value = p.steps;
+    this._renderSettings();
+
+    const add = document.getElementById('seqAddSelect');
+    add.innerHTML = recordings.length
+      ? recordings.map(r => `<option value="${r.id}">${r.label}</option>`).join('')
+      : '<option value="">Record some sounds first</option>';
+    document.getElementById('seqAdd').disabled = !recordings.length;
+
+    const grid = document.getElementById('seqGrid');
+    grid.style.setProperty('--seq-steps', p.steps);
+    grid.innerHTML = p.rows.map(row => {
+      const duration = this.buffers.get(row.recordingId)?.duration || 0;
+      return `
+      <div class="seq-row" data-row="${row.id}">
+        <div class="seq-row-header">
+          <strong>${this._recordingLabel(row.recordingId)}</strong>
+          <button class="btn-secondary" data-remove aria-label="Remove row">✖</button>
+        </div>
+        <div class="seq-row-settings">
+          ${this._slider(row, 'start', 'Slice from', 0, Math.max(0, duration - 0.05).toFixed(2), 0.01)}
+          ${this._slider(row, 'length', 'Slice length', 0.05, MAX_SLICE, 0.05)}
+          ${this._slider(row, 'volume', 'Volume', 0, 1.5, 0.05)}
+        </div>
+        <div class="seq-steps">
+          ${row.steps.map((_, i) => `<button class="seq-step${i % 4 === 0 ? ' seq-beat' : ''}" data-step="${i}" aria-label="Step ${i + 1}"></button>`).join('')}
+        </div>
+      </div>`;
+    }).join('') || '<p class="setting-help">Add sounds below, then tap the squares to make a beat. Tap again for quieter hits.</p>';
+    p.rows.forEach(row => {
+      this._renderRowValues(row);
+      row.steps.forEach((_, i) => this._renderStep(row, i));
+    });
+    this.shownStep = -1;
+    this._renderTransport();
+  }
+
+  _slider(row, field, label, min, max, step) {
+    return `
+          <div class="slider-group">
+            <label class="slider-label"><span>${label}</span><span data-value="${field}"></span></label>
+            <input type="range" class="slider" data-field="${field}" min="${min}" max="${max}" step="${step}" value="${row[field]}">
+          </div>`;
+  }
+
+  _renderRowValues(row) {
+    const el = document.querySelector(`.seq-row[data-row="${row.id}"]`);
+    if (!el) return;
+    el.querySelector('[data-value="start"]').textContent = `${row.start.toFixed(2)} s`;
+    el.querySelector('[data-value="length"]').textContent = `${row.length.toFixed(2)} s`;
+    el.querySelector('[data-value="volume"]').textContent = `${Math.round(row.volume * 100)}%`;
+  }
+
+  _renderStep(row, step) {
+    const btn = document.querySelector(`.seq-row[data-row="${row.id}"] [data-step="${step}"]`);
+    if (!btn) return;
+    const velocity = row.steps[step];
+    btn.classList.toggle('on', velocity > 0);
+    btn.style.setProperty('--velocity', velocity);
+    btn.setAttribute('aria-pressed', velocity > 0);
+  }
+
+  _renderSettings() {
+    const p = this.pattern;
+    document.getElementById('seqTempoValue').textContent = `${p.bpm} BPM`;
+    document.getElementById('seqSwingValue').textContent = p.swing > 0.5 ? `${Math.round(p.swing * 100)}%` : 'Straight';
+    document.getElementById('seqLoopsValue').textContent = `${p.loops} time${p.loops === 1 ? '' : 's'}`;
+  }
+
+  _renderTransport() {
+    document.getElementById('seqPlay').textContent = this.playing ? '⏹ Stop' : '▶️ Play';
+  }
+
+  // Light up the step that is sounding now (the newest queued step whose time has come)
+  _tick() {
+    cancelAnimationFrame(this.frameId);
+    if (!this.playing) return;
+    const now = this.context.currentTime;
+    let current = null;
+    while (this.queue.length && this.queue[0].time <= now) current = this.queue.shift();
+    if (current) this._highlight(current.step);
+    this.frameId = requestAnimationFrame(() => this._tick());
+  }
+
+  _highlight(step) {
+    if (step === this.shownStep) return;
+    document.querySelectorAll('.seq-step.current').forEach(el => el.classList.remove('current'));
+    if (step >= 0) document.querySelectorAll(`.seq-step[data-step="${step}"]`).forEach(el => el.classList.add('current'));
+    this.shownStep = step;
+  }
+
+  _bindControls() {
+    document.getElementById('seqPlay').addEventListener('click', () => this.toggle());
+    document.getElementById('seqNew').addEventListener('click', () => this.newPattern());
+    document.getElementById('seqDelete').addEventListener('click', () => this.deletePattern());
+    document.getElementById('seqExport').addEventListener('click', () => this.exportWav());
+    document.getElementById('seqSelect').addEventListener('change', async (e) => {
+      await this._saveNow();
+      this.open(e.target.value);
+    });
+    document.getElementById('seqName').addEventListener('input', (e) => {
+      if (!this.pattern) return;
+      this.pattern.name = e.target.value.trim() || 'Untitled beat';
+      this._changed();
+      const option = document.querySelector(`#seqSelect option[value="${this.pattern.id}"]`);
+      if (option) option.textContent = this.pattern.name;
+    });
+    const setting = (id, apply) => document.getElementById(id).addEventListener('input', (e) => {
+      if (!this.pattern) return;
+      apply(parseFloat(e.target.value));
+      this._changed();
+      this._renderSettings();
+    });
+    setting('seqTempo', v => { this.pattern.bpm = v; });
+    setting('seqSwing', v => { this.pattern.swing = v / 100; });
+    setting('seqLoops', v => { this.pattern.loops = v; });
+    document.getElementById('seqSteps').addEventListener('change', (e) => this.setSteps(parseInt(e.target.value, 10)));
+    document.getElementById('seqAdd').addEventListener('click', () => {
+      this.addRow(document.getElementById('seqAddSelect').value);
+    });
+
+    const grid = document.getElementById('seqGrid');
+    grid.addEventListener('input', (e) => {
+      const field = e.target.dataset.field;
+      const row = e.target.closest('.seq-row');
+      if (field && row) this.updateRow(row.dataset.row, field, parseFloat(e.target.value));
+    });
+    grid.addEventListener('click', (e) => {
+      const row = e.target.closest('.seq-row');
+      if (!row) return;
+      const stepBtn = e.target.closest('[data-step]');
+      if (stepBtn) this.cycleStep(row.dataset.row, parseInt(stepBtn.dataset.step, 10));
+      else if (e.target.closest('[data-remove]')) this.removeRow(row.dataset.row);
+    });
+  }
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'sound-explorer-v1';
+const CACHE_NAME = 'sound-explorer-v2';
 const urlsToCache = [
     './',
     './index.html',
@@ -6,6 +6,38 @@ const urlsToCache = [
     './main.js',
     './audio-processor.js',
     './storage.js',
+    './audio-convert.js',
+    './export-package.js',
+    './recorder-worklet.js',
+    './pcm-ring-buffer.js',
+    './monitor-session.js',
+    './signal-presets.js',
+    './level-meter.js',
+    './feature-extractor.js',
+    './pitch-tracker.js',
+    './rhythm-analyzer.js',
+    './tag-classifier.js',
+    './similarity.js',
+    './fft.js',
+    './eco-indices.js',
+    './audio-editor.js',
+    './denoise.js',
+    './denoise-worker.js',
+    './sound-lab.js',
+    './time-stretch.js',
+    './stretch-worker.js',
+    './worker-task.js',
+    './mixer.js',
+    './sequencer.js',
+    './offline-analyzer.js',
+    './spectrogram.js',
+    './colormaps.js',
+    './frequency-scale.js',
+    './live-spectrogram.js',
+    './visualizers.js',
+    './waveform.js',
+    './recording-player.js',
+    './annotations.js',
     './resonate-worklet.js'
 ];
 
@@ -0,0 +1,55 @@
+// Named processing presets for the preamp -> high-pass -> EQ -> compressor -> gain -> limiter chain.
+// Built-in presets are read-only; users duplicate them to make their own.
+
+export const EQ_BANDS = [
+  { key: 'low', type: 'lowshelf', frequency: 250, label: 'Bass' },
+  { key: 'mid', type: 'peaking', frequency: 1500, Q: 1, label: 'Middle' },
+  { key: 'high', type: 'highshelf', frequency: 6000, label: 'Treble' }
+];
+
+export const DEFAULT_PRESETS = [
+  {
+    id: 'kid-safe',
+    name: 'Kid-safe',
+    builtIn: true,
+    highpass: { enabled: false, frequency: 80 },
+    eq: { enabled: false, low: 0, mid: 0, high: 0 },
+    compressor: { enabled: true, threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 },
+    limiter: { enabled: true, threshold: -3, knee: 0, ratio: 20, attack: 0.001, release: 0.1 }
+  },
+  {
+    id: 'raw',
+    name: 'Raw/scientific',
+    builtIn: true,
+    highpass: { enabled: false, frequency: 20 },
+    eq: { enabled: false, low: 0, mid: 0, high: 0 },
+    compressor: { enabled: false, threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 },
+    limiter: { enabled: false, threshold: -3, knee: 0, ratio: 20, attack: 0.001, release: 0.1 }
+  },
+  {
+    id: 'voice',
+    name: 'Voice',
+    builtIn: true,
+    highpass: { enabled: true, frequency: 100 },
+    eq: { enabled: true, low: -3, mid: 3, high: 1 },
+    compressor: { enabled: true, threshold: -20, knee: 10, ratio: 4, attack: 0.005, release: 0.2 },
+    limiter: { enabled: true, threshold: -3, knee: 0, ratio: 20, attack: 0.001, release: 0.1 }
+  }
+];
+
+export const DEFAULT_PRESET_ID = 'kid-safe';
+
+export function clonePreset(preset) {
+  return JSON.parse(JSON.stringify(preset));
+}
+
+// Short human-readable description, used in settings and on gallery cards
+export function describePreset(preset) {
+  if (!preset) return 'Unknown';
+  const parts = [];
+  if (preset.highpass?.enabled) parts.push(`High-pass ${preset.highpass.frequency} Hz`);
+  if (preset.eq?.enabled) parts.push(`EQ ${EQ_BANDS.map(b => `${preset.eq[b.key] > 0 ? '+' : ''}${preset.eq[b.key]}`).join('/')} dB`);
+  if (preset.compressor?.enabled) parts.push(`Compressor ${preset.compressor.ratio}:1`);
+  if (preset.limiter?.enabled) parts.push('Limiter');
+  return parts.length ? parts.join(' • ') : 'No processing';
+}
@@ -0,0 +1,53 @@
+// "More like this": each recording gets a fingerprint (its feature vector plus how its bands and hits vary over time),
+// and the library is ranked by distance to one recording after standardising every dimension across the library.
+import { summarizeFeatures, FEATURE_BANDS } from './feature-extractor.js';
+import { featureVector } from './tag-classifier.js';
+
+export const FINGERPRINT_VERSION = 1;   // bump when the vector changes so stored fingerprints are recomputed
+export const SIMILAR_LIMIT = 12;        // "More like this" shows at most this many sounds...
+export const MIN_SIMILAR_SCORE = 0.4;   // ...and none further away than about 1.5 standard deviations
+
+const std = (values) => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length);
+};
+
+// frames: feature frames; rhythm: analyzeRhythm() result (optional). Stored on the recording as `fingerprint`.
+export function computeFingerprint(frames, rhythm = null) {
+  const base = featureVector(summarizeFeatures(frames));
+  if (!base) return null;
+  const bandMovement = FEATURE_BANDS.map(b => std(frames.map(f => f.bands[b.key])));
+  const vector = [
+    ...base,
+    ...bandMovement,
+    rhythm ? rhythm.regularity : 0,
+    Math.log2(1 + (rhythm ? rhythm.onsetRate : 0))
+  ];
+  return { version: FINGERPRINT_VERSION, vector: vector.map(v => Math.round(v * 1000) / 1000) };
+}
+
+// Stored fingerprint if current, otherwise computed on the fly (sounds analysed before fingerprints existed)
+function fingerprintOf(recording) {
+  if (recording.fingerprint?.version === FINGERPRINT_VERSION) return recording.fingerprint.vector;
+  return computeFingerprint(recording.features, recording.rhythm)?.vector || null;
+}
+
+// Returns [{ id, score (0..1, 1 = identical) }] for every other recording with features, most similar first
+export function rankSimilar(target, recordings) {
+  const entries = recordings
+    .map(rec => ({ id: rec.id, vector: fingerprintOf(rec) }))
+    .filter(e => e.vector);
+  const query = entries.find(e => e.id === target.id);
+  if (!query || entries.length < 2) return [];
+
+  const dims = query.vector.length;
+  const scale = Array.from({ length: dims }, (_, d) => std(entries.map(e => e.vector[d])) || 1);
+  return entries
+    .filter(e => e !== query)
+    .map(e => {
+      // Root-mean-square difference in standard deviations: 0 for a twin, about 1 for a typical pair
+      const rms = Math.sqrt(e.vector.reduce((sum, v, d) => sum + ((v - query.vector[d]) / scale[d]) ** 2, 0) / dims);
+      return { id: e.id, score: Math.round(100 / (1 + rms)) / 100 };
+    })
+    .sort((a, b) => b.score - a.score);
+}
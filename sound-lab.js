@@ -0,0 +1,340 @@
+// Sound Lab: playful effects for a recording — backwards, varispeed, a pitch shift that keeps the speed,
+// repeats, reverb and a tunable resonator (resonate-worklet.js). The same Web Audio graph is built for the
+// live preview and for an OfflineAudioContext render, so the saved sound is exactly what was heard.
+// Results are saved as new recordings that point back at their source (recording.derivedFrom).
+import { encodeWav } from './audio-convert.js';
+import { hzToNote } from './pitch-tracker.js';
+import { stretchTime } from './time-stretch.js';
+import { runWorkerTask } from './worker-task.js';
+
+export const DEFAULT_LAB_SETTINGS = {
+  reverse: false,
+  speed: 1,          // varispeed: faster is also higher, like a tape
+  semitones: 0,      // pitch shift that leaves the speed alone
+  repeats: 1,
+  reverb: 0,         // 0..1 wet level
+  roomSeconds: 2,    // reverb length
+  resonance: 0,      // 0..1 resonator mix (0 = off)
+  resonanceHz: 220,
+  ring: 0.9          // resonator feedback: how long it keeps ringing
+};
+
+const RESONATOR_MIN_HZ = 55;   // the note slider counts semitones up from A1
+const MAX_TAIL_SECONDS = 6;
+
+const pitchRatio = (semitones) => Math.pow(2, semitones / 12);
+
+export function describeLabSettings(s) {
+  const parts = [];
+  if (s.reverse) parts.push('backwards');
+  if (s.speed !== 1) parts.push(`${s.speed}× speed`);
+  if (s.semitones) parts.push(`${s.semitones > 0 ? '+' : ''}${s.semitones} semitones`);
+  if (s.repeats > 1) parts.push(`×${s.repeats} loop`);
+  if (s.reverb > 0) parts.push(`${Math.round(s.reverb * 100)}% reverb`);
+  if (s.resonance > 0) parts.push(`resonator on ${hzToNote(s.resonanceHz).name}`);
+  return parts.length ? parts.join(', ') : 'no effects';
+}
+
+// The source buffer after the effects that rewrite samples (backwards, pitch); the rest happen in the graph.
+// The stretch takes seconds on a long take, so it runs in stretch-worker.js.
+async function prepareBuffer(buffer, s) {
+  let channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => Float32Array.from(buffer.getChannelData(c)));
+  if (s.reverse) channels.forEach(data => data.reverse());
+  // Stretch by the pitch ratio, then play that much faster: same length, shifted pitch
+  if (s.semitones) {
+    const factor = pitchRatio(s.semitones);
+    const input = channels;
+    channels = await runWorkerTask('./stretch-worker.js', { channels: input, factor }, input.map(c => c.buffer),
+      () => stretchTime(input, factor));
+  }
+  const out = new AudioBuffer({ length: channels[0].length, numberOfChannels: channels.length, sampleRate: buffer.sampleRate });
+  channels.forEach((data, c) => out.copyToChannel(data, c));
+  return out;
+}
+
+// Decaying noise from a fixed seed, so the preview and the saved sound share the same room
+function impulseResponse(context, seconds) {
+  const length = Math.max(1, Math.round(seconds * context.sampleRate));
+  const ir = context.createBuffer(2, length, context.sampleRate);
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 * 2 - 1;
+  };
+  for (let c = 0; c < 2; c++) {
+    const data = ir.getChannelData(c);
+    for (let i = 0; i < length; i++) data[i] = random() * Math.pow(1 - i / length, 3);
+  }
+  return ir;
+}
+
+const resonatorModules = new WeakMap(); // context -> Promise<boolean> (false when AudioWorklet is unavailable)
+
+function loadResonator(context) {
+  if (!resonatorModules.has(context)) {
+    const ready = context.audioWorklet && typeof AudioWorkletNode !== 'undefined'
+      ? context.audioWorklet.addModule('./resonate-worklet.js').then(() => true, err => {
+        console.warn('Resonator unavailable:', err);
+        return false;
+      })
+      : Promise.resolve(false);
+    resonatorModules.set(context, ready);
+  }
+  return resonatorModules.get(context);
+}
+
+// Wires prepared -> (resonator) -> dry + reverb -> destination and starts it; returns the source
+async function startGraph(context, prepared, s) {
+  const source = context.createBufferSource();
+  source.buffer = prepared;
+  source.playbackRate.value = s.speed * pitchRatio(s.semitones);
+  let node = source;
+
+  if (s.resonance > 0 && await loadResonator(context)) {
+    const resonator = new AudioWorkletNode(context, 'resonator', {
+      parameterData: { frequency: s.resonanceHz, feedback: s.ring, mix: s.resonance }
+    });
+    node.connect(resonator);
+    node = resonator;
+  }
+
+  if (s.reverb > 0) {
+    const dry = context.createGain();
+    dry.gain.value = 1 - s.reverb / 2;
+    const wet = context.createGain();
+    wet.gain.value = s.reverb;
+    const convolver = context.createConvolver();
+    convolver.buffer = impulseResponse(context, s.roomSeconds);
+    node.connect(dry).connect(context.destination);
+    node.connect(convolver).connect(wet).connect(context.destination);
+  } else {
+    node.connect(context.destination);
+  }
+
+  if (s.repeats > 1) {
+    source.loop = true;
+    source.start(0, 0, prepared.duration * s.repeats);
+  } else {
+    source.start(0);
+  }
+  return source;
+}
+
+// Seconds the effects keep sounding after the source stops
+function tailSeconds(s) {
+  let tail = 0;
+  if (s.reverb > 0) tail = s.roomSeconds;
+  // Time for the resonator to fall by 60 dB
+  if (s.resonance > 0) tail = Math.max(tail, 6.9 / (s.resonanceHz * (1 - s.ring)));
+  return Math.min(MAX_TAIL_SECONDS, tail);
+}
+
+// Render the effects offline. Returns { channels, sampleRate } (stereo when there is reverb).
+export async function renderLab(buffer, s) {
+  const prepared = await prepareBuffer(buffer, s);
+  const playSeconds = prepared.duration * s.repeats / (s.speed * pitchRatio(s.semitones));
+  const length = Math.ceil((playSeconds + tailSeconds(s)) * buffer.sampleRate);
+  const numberOfChannels = s.reverb > 0 ? 2 : buffer.numberOfChannels;
+  const context = new OfflineAudioContext(numberOfChannels, length, buffer.sampleRate);
+  await startGraph(context, prepared, s);
+  const rendered = await context.startRendering();
+  return {
+    channels: Array.from({ length: rendered.numberOfChannels }, (_, c) => rendered.getChannelData(c)),
+    sampleRate: rendered.sampleRate
+  };
+}
+
+export class SoundLab {
+  // onPlay/onStop(lab) so the app can pause it with everything else;
+  // onSave(recording, { audioBlob, duration, channels, effects }) stores the result and resolves with the new recording
+  constructor({ onPlay = null, onStop = null, onSave = null } = {}) {
+    this.onPlay = onPlay;
+    this.onStop = onStop;
+    this.onSave = onSave;
+    this.context = null;
+    this.recording = null;
+    this.buffer = null;
+    this.prepared = null;        // { key, promise }: backwards/pitch-shifted copy for the current settings
+    this.source = null;
+    this.playing = false;
+    this.playToken = 0;
+    this.restartTimer = null;
+    this.saving = false;
+
+    this._bindControls();
+  }
+
+  // buffer: the recording as it plays in the player (with its edits); both null while nothing is loaded
+  setSource(recording, buffer) {
+    this.pause();
+    this.recording = recording;
+    this.buffer = buffer;
+    this.prepared = null;
+    document.getElementById('labStatus').textContent = '';
+    this._renderState();
+  }
+
+  readSettings() {
+    const value = (id) => parseFloat(document.getElementById(id).value);
+    return {
+      reverse: document.getElementById('labReverse').checked,
+      speed: value('labSpeed'),
+      semitones: value('labPitch'),
+      repeats: value('labRepeats'),
+      reverb: value('labReverb') / 100,
+      roomSeconds: value('labRoom'),
+      resonance: value('labResonance') / 100,
+      resonanceHz: Math.round(RESONATOR_MIN_HZ * pitchRatio(value('labNote')) * 10) / 10,
+      ring: value('labRing') / 100
+    };
+  }
+
+  reset() {
+    const s = DEFAULT_LAB_SETTINGS;
+    document.getElementById('labReverse').checked = s.reverse;
+    document.getElementById('labSpeed').value = s.speed;
+    document.getElementById('labPitch').value = s.semitones;
+    document.getElementById('labRepeats').value = s.repeats;
+    document.getElementById('labReverb').value = s.reverb * 100;
+    document.getElementById('labRoom').value = s.roomSeconds;
+    document.getElementById('labResonance').value = s.resonance * 100;
+    document.getElementById('labNote').value = Math.round(12 * Math.log2(s.resonanceHz / RESONATOR_MIN_HZ));
+    document.getElementById('labRing').value = s.ring * 100;
+    this._changed();
+  }
+
+  async play() {
+    if (!this.buffer || this.playing) return;
+    if (!this.context) this.context = new (window.AudioContext || window.webkitAudioContext)();
+    this.context.resume();
+    const token = ++this.playToken;
+    this.playing = true;
+    this._renderState();
+    if (this.onPlay) this.onPlay(this);
+
+    const s = this.readSettings();
+    let source;
+    try {
+      source = await startGraph(this.context, await this._prepared(s), s);
+    } catch (err) {
+      console.error('Sound Lab preview failed', err);
+      if (token !== this.playToken) return;
+      document.getElementById('labStatus').textContent = 'Sorry, that sound could not be made.';
+      this.pause();
+      return;
+    }
+    if (token !== this.playToken) {
+      source.stop();   // stopped (or restarted) while the pitch shift or resonator was being prepared
+      return;
+    }
+    source.onended = () => {
+      if (this.source !== source) return;
+      this.source = null;
+      this.playing = false;
+      this._renderState();
+      if (this.onStop) this.onStop(this);
+    };
+    this.source = source;
+  }
+
+  pause() {
+    clearTimeout(this.restartTimer);
+    if (!this.playing) return;
+    this.playToken++;
+    if (this.source) {
+      this.source.onended = null;
+      try { this.source.stop(); } catch {}
+      this.source = null;
+    }
+    this.playing = false;
+    this._renderState();
+    if (this.onStop) this.onStop(this);
+  }
+
+  toggle() {
+    if (this.playing) this.pause(); else this.play();
+  }
+
+  async save() {
+    if (!this.buffer || this.saving) return;
+    const status = document.getElementById('labStatus');
+    const source = this.recording;
+    const effects = this.readSettings();
+    this.saving = true;
+    this._renderState();
+    status.textContent = 'Mixing your new sound…';
+    try {
+      const { channels, sampleRate } = await renderLab(this.buffer, effects);
+      const recording = await this.onSave?.(source, {
+        audioBlob: encodeWav(channels, sampleRate, { float: true }),
+        duration: Math.round(channels[0].length / sampleRate * 1000),
+        channels: channels.length,
+        effects
+      });
+      status.textContent = recording ? `Saved as “${recording.label}” in your gallery.` : '';
+    } catch (err) {
+      console.error('Sound Lab render failed', err);
+      status.textContent = 'Sorry, that sound could not be made.';
+    } finally {
+      this.saving = false;
+      this._renderState();
+    }
+  }
+
+  // A new pitch takes a moment to prepare on a long sound, so say so while it does
+  _prepared(s) {
+    const key = `${s.reverse}|${s.semitones}`;
+    if (this.prepared?.key === key) return this.prepared.promise;
+    const status = document.getElementById('labStatus');
+    if (s.semitones) status.textContent = 'Shifting the pitch…';
+    const prepared = { key, promise: prepareBuffer(this.buffer, s) };
+    this.prepared = prepared;
+    prepared.promise.then(() => {
+      if (this.prepared === prepared && s.semitones) status.textContent = '';
+    }, () => {
+      if (this.prepared === prepared) this.prepared = null;
+    });
+    return prepared.promise;
+  }
+
+  // New settings are heard straight away: a playing preview restarts once the slider settles
+  _changed() {
+    this._renderValues();
+    if (!this.playing) return;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => {
+      this.pause();
+      this.play();
+    }, 200);
+  }
+
+  _renderValues() {
+    const s = this.readSettings();
+    document.getElementById('labSpeedValue').textContent = `${s.speed.toFixed(2)}×`;
+    document.getElementById('labPitchValue').textContent = `${s.semitones > 0 ? '+' : ''}${s.semitones} semitones`;
+    document.getElementById('labRepeatsValue').textContent = s.repeats > 1 ? `${s.repeats} times` : 'Once';
+    document.getElementById('labReverbValue').textContent = s.reverb > 0 ? `${Math.round(s.reverb * 100)}%` : 'Off';
+    document.getElementById('labRoomValue').textContent = `${s.roomSeconds} s`;
+    document.getElementById('labResonanceValue').textContent = s.resonance > 0 ? `${Math.round(s.resonance * 100)}%` : 'Off';
+    document.getElementById('labNoteValue').textContent = `${hzToNote(s.resonanceHz).name} (${Math.round(s.resonanceHz)} Hz)`;
+    document.getElementById('labRingValue').textContent = `${Math.round(s.ring * 100)}%`;
+  }
+
+  _renderState() {
+    const btn = document.getElementById('labPlay');
+    btn.disabled = !this.buffer;
+    btn.textContent = this.playing ? '⏹ Stop' : '▶️ Try it';
+    document.getElementById('labSave').disabled = !this.buffer || this.saving;
+  }
+
+  _bindControls() {
+    document.querySelectorAll('#soundLab input').forEach(input => {
+      input.addEventListener('input', () => this._changed());
+    });
+    document.getElementById('labPlay').addEventListener('click', () => this.toggle());
+    document.getElementById('labReset').addEventListener('click', () => this.reset());
+    document.getElementById('labSave').addEventListener('click', () => this.save());
+    this._renderValues();
+    this._renderState();
+  }
+}
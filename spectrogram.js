@@ -0,0 +1,129 @@
+// Renders spectrogram columns (dB per FFT bin, as collected by offline-analyzer.js) to a labelled image.
+// Thumbnails always use the same size, dB range and colormap so recordings can be compared at a glance.
+import { colormapTable, DEFAULT_COLORMAP } from './colormaps.js';
+import { positionToHz, hzToPosition, frequencyTicks, formatHz } from './frequency-scale.js';
+
+const MARGIN = { left: 40, right: 8, top: 8, bottom: 22 };
+const NO_MARGIN = { left: 0, right: 0, top: 0, bottom: 0 };
+
+export const THUMBNAIL_SIZE = { width: 480, height: 240 };
+
+// Number of spectrum columns to request from the analyzer for an image of the given width (one per pixel)
+export function plotColumns(width = THUMBNAIL_SIZE.width, { axes = true } = {}) {
+  const margin = axes ? MARGIN : NO_MARGIN;
+  return width - margin.left - margin.right;
+}
+
+// Roughly `count` round tick values (1, 2 or 5 × 10^n apart) from 0 up to max
+function ticks(max, count) {
+  if (!(max > 0)) return [];
+  const raw = max / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw);
+  const out = [];
+  for (let v = 0; v <= max + 1e-9; v += step) out.push(Math.round(v * 1000) / 1000);
+  return out;
+}
+
+export function renderSpectrogramImage(spectrogram, {
+  width = THUMBNAIL_SIZE.width,
+  height = THUMBNAIL_SIZE.height,
+  minDb = -110,
+  maxDb = -30,
+  colormap = DEFAULT_COLORMAP,
+  scale = 'linear',
+  axes = true,            // false: the picture fills the whole image (e.g. under the player's playhead)
+  annotations = []        // regions drawn as labelled boxes (see annotations.js)
+} = {}) {
+  const { columns, sampleRate, duration } = spectrogram;
+  const margin = axes ? MARGIN : NO_MARGIN;
+  const nyquist = (sampleRate || 44100) / 2;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#111';
+  ctx.fillRect(0, 0, width, height);
+
+  const plotW = width - margin.left - margin.right;
+  const plotH = height - margin.top - margin.bottom;
+  const table = colormapTable(colormap);
+  const image = ctx.createImageData(plotW, plotH);
+
+  if (columns.length) {
+    const bins = columns[0].length;
+    const binHz = nyquist / bins;
+    const rowBins = [];
+    for (let y = 0; y < plotH; y++) {
+      const lo = Math.min(bins - 1, Math.floor(positionToHz((plotH - 1 - y) / plotH, scale, nyquist) / binHz));
+      rowBins.push([lo, Math.min(bins, Math.max(lo + 1, Math.floor(positionToHz((plotH - y) / plotH, scale, nyquist) / binHz)))]);
+    }
+    for (let x = 0; x < plotW; x++) {
+      const col = columns[Math.min(columns.length - 1, Math.floor(x / plotW * columns.length))];
+      for (let y = 0; y < plotH; y++) {
+        // Each pixel row covers a range of bins; show the loudest so narrow tones don't vanish
+        const [lo, hi] = rowBins[y];
+        let db = -Infinity;
+        for (let b = lo; b < hi; b++) if (col[b] > db) db = col[b];
+        const idx = Math.round(Math.max(0, Math.min(1, (db - minDb) / (maxDb - minDb))) * 255) * 3;
+        const o = (y * plotW + x) * 4;
+        image.data[o] = table[idx];
+        image.data[o + 1] = table[idx + 1];
+        image.data[o + 2] = table[idx + 2];
+        image.data[o + 3] = 255;
+      }
+    }
+  }
+  ctx.putImageData(image, margin.left, margin.top);
+
+  ctx.font = '10px sans-serif';
+  ctx.lineWidth = 1.5;
+  annotations.forEach(a => {
+    const x0 = margin.left + a.start / duration * plotW;
+    const x1 = margin.left + a.end / duration * plotW;
+    const y0 = margin.top + plotH - hzToPosition(a.highHz ?? nyquist, scale, nyquist) * plotH;
+    const y1 = margin.top + plotH - hzToPosition(a.lowHz ?? 0, scale, nyquist) * plotH;
+    ctx.strokeStyle = '#facc15';
+    ctx.strokeRect(x0, y0, Math.max(2, x1 - x0), Math.max(2, y1 - y0));
+    const text = a.label;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+    ctx.fillRect(x0, y0, ctx.measureText(text).width + 6, 13);
+    ctx.fillStyle = '#facc15';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(text, x0 + 3, y0 + 1);
+  });
+  if (!axes) return canvas.toDataURL('image/png');
+
+  // Axes: kHz on the left, seconds along the bottom
+  ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+  ctx.fillStyle = '#ddd';
+  ctx.font = '10px sans-serif';
+  ctx.lineWidth = 1;
+
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  const freqTicks = scale === 'linear' ? ticks(nyquist / 1000, 5).map(khz => khz * 1000) : frequencyTicks(scale, nyquist);
+  freqTicks.forEach(hz => {
+    const y = margin.top + plotH - hzToPosition(hz, scale, nyquist) * plotH;
+    ctx.beginPath();
+    ctx.moveTo(margin.left - 4, Math.round(y) + 0.5);
+    ctx.lineTo(margin.left, Math.round(y) + 0.5);
+    ctx.stroke();
+    ctx.fillText(formatHz(hz), margin.left - 6, Math.max(margin.top + 4, y));
+  });
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ticks(duration, 6).forEach(sec => {
+    const x = margin.left + (sec / duration) * plotW;
+    ctx.beginPath();
+    ctx.moveTo(Math.round(x) + 0.5, margin.top + plotH);
+    ctx.lineTo(Math.round(x) + 0.5, margin.top + plotH + 4);
+    ctx.stroke();
+    ctx.fillText(`${sec}s`, Math.min(width - 12, x), margin.top + plotH + 6);
+  });
+
+  ctx.strokeRect(margin.left - 0.5, margin.top - 0.5, plotW + 1, plotH + 1);
+  return canvas.toDataURL('image/png');
+}
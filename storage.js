@@ -1,7 +1,7 @@
 export class Storage {
     constructor() {
         this.dbName = 'SoundExplorerDB';
-        this.dbVersion = 1;
+        this.dbVersion = 3;
         this.db = null;
     }
 
@@ -28,6 +28,17 @@ export class Storage {
                 if (!db.objectStoreNames.contains('settings')) {
                     db.createObjectStore('settings', { keyPath: 'key' });
                 }
+
+                // Create chunks store (audio of long takes, written while recording)
+                if (!db.objectStoreNames.contains('chunks')) {
+                    db.createObjectStore('chunks', { keyPath: ['takeId', 'index'] });
+                }
+
+                // Create projects store (mixes and other things built from recordings; see mixer.js)
+                if (!db.objectStoreNames.contains('projects')) {
+                    const projectsStore = db.createObjectStore('projects', { keyPath: 'id' });
+                    projectsStore.createIndex('type', 'type', { unique: false });
+                }
             };
         });
     }
@@ -90,6 +101,86 @@ export class Storage {
         });
     }
 
+    async saveChunk(takeId, index, data) {
+        await this.ensureDb();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['chunks'], 'readwrite');
+            const store = transaction.objectStore('chunks');
+            const request = store.put({ takeId, index, data });
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Chunks of one take, in recording order
+    async getChunks(takeId) {
+        await this.ensureDb();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['chunks'], 'readonly');
+            const store = transaction.objectStore('chunks');
+            const request = store.getAll(IDBKeyRange.bound([takeId, 0], [takeId, Infinity]));
+
+            request.onsuccess = () => resolve((request.result || []).map(c => c.data));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteChunks(takeId) {
+        await this.ensureDb();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['chunks'], 'readwrite');
+            const store = transaction.objectStore('chunks');
+            const request = store.delete(IDBKeyRange.bound([takeId, 0], [takeId, Infinity]));
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveProject(project) {
+        await this.ensureDb();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['projects'], 'readwrite');
+            const store = transaction.objectStore('projects');
+            const request = store.put(project);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // All projects, or only those of one type (e.g. 'mix')
+    async getAllProjects(type = null) {
+        await this.ensureDb();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['projects'], 'readonly');
+            const store = transaction.objectStore('projects');
+            const request = type ? store.index('type').getAll(type) : store.getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteProject(id) {
+        await this.ensureDb();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['projects'], 'readwrite');
+            const store = transaction.objectStore('projects');
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async set(key, value) {
         await this.ensureDb();
         
@@ -120,13 +211,17 @@ export class Storage {
         await this.ensureDb();
         
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['recordings', 'settings'], 'readwrite');
+            const transaction = this.db.transaction(['recordings', 'settings', 'chunks', 'projects'], 'readwrite');
             
             const recordingsStore = transaction.objectStore('recordings');
             const settingsStore = transaction.objectStore('settings');
+            const chunksStore = transaction.objectStore('chunks');
+            const projectsStore = transaction.objectStore('projects');
             
             const req1 = recordingsStore.clear();
             const req2 = settingsStore.clear();
+            const req3 = chunksStore.clear();
+            const req4 = projectsStore.clear();
 
             transaction.oncomplete = () => resolve();
             transaction.onerror = () => reject(transaction.error);
@@ -0,0 +1,13 @@
+// Runs the Sound Lab's time-stretch (time-stretch.js) off the main thread (see worker-task.js).
+// The sample buffers are transferred both ways.
+import { stretchTime } from './time-stretch.js';
+
+self.onmessage = (event) => {
+  const { id, channels, factor } = event.data;
+  try {
+    const result = stretchTime(channels, factor);
+    self.postMessage({ id, result }, result.map(c => c.buffer));
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,87 @@
+// On-device tag suggestions: k-nearest neighbours over whole-recording feature summaries,
+// learned from the sounds the user has already tagged. Nothing leaves the device; retrain to pick up new tags.
+import { summarizeFeatures, FEATURE_BANDS } from './feature-extractor.js';
+
+export const SUGGEST_THRESHOLD = 0.5;   // confidence at which a tag is pre-selected
+const MIN_EXAMPLES = 3;                 // fewer tagged sounds than this and there is nothing to learn from
+
+// A sound as numbers: spectral shape (bands relative to the loudest), loudness and how it changes, how pitched it is
+export function featureVector(summary) {
+  if (!summary) return null;
+  const loudestBand = Math.max(...FEATURE_BANDS.map(b => summary.bands[b.key]));
+  return [
+    Math.log2(summary.centroid + 1),
+    Math.log2(summary.rolloff + 1),
+    summary.flatness,
+    summary.flux,
+    summary.zcr,
+    summary.rmsDbMean,
+    summary.rmsDbStd,
+    ...FEATURE_BANDS.map(b => summary.bands[b.key] - loudestBand),
+    summary.voiced || 0
+  ];
+}
+
+export class TagClassifier {
+  // vocabulary: the tags that may be suggested (other tags on a recording are ignored)
+  constructor(vocabulary, { k = 5 } = {}) {
+    this.vocabulary = vocabulary;
+    this.k = k;
+    this.examples = [];          // { vector (standardised), tags }
+    this.mean = null;
+    this.std = null;
+  }
+
+  get size() {
+    return this.examples.length;
+  }
+
+  get ready() {
+    return this.examples.length >= MIN_EXAMPLES;
+  }
+
+  train(recordings) {
+    const raw = recordings
+      .map(rec => ({ vector: featureVector(summarizeFeatures(rec.features)), tags: (rec.tags || []).filter(t => this.vocabulary.includes(t)) }))
+      .filter(e => e.vector && e.tags.length);
+    if (!raw.length) {
+      this.examples = [];
+      return this;
+    }
+    const dims = raw[0].vector.length;
+    this.mean = Array.from({ length: dims }, (_, d) => raw.reduce((s, e) => s + e.vector[d], 0) / raw.length);
+    this.std = Array.from({ length: dims }, (_, d) => {
+      const variance = raw.reduce((s, e) => s + (e.vector[d] - this.mean[d]) ** 2, 0) / raw.length;
+      return Math.sqrt(variance) || 1;
+    });
+    this.examples = raw.map(e => ({ vector: this._standardise(e.vector), tags: e.tags }));
+    return this;
+  }
+
+  _standardise(vector) {
+    return vector.map((v, d) => (v - this.mean[d]) / this.std[d]);
+  }
+
+  // frames: feature frames of the sound to tag. Returns [{ tag, confidence (0..1) }], most likely first.
+  // Confidence is the distance-weighted share of the nearest tagged sounds that carry the tag.
+  suggest(frames) {
+    const vector = featureVector(summarizeFeatures(frames));
+    if (!this.ready || !vector) return [];
+    const query = this._standardise(vector);
+    const neighbours = this.examples
+      .map(e => ({ tags: e.tags, distance: Math.sqrt(e.vector.reduce((s, v, d) => s + (v - query[d]) ** 2, 0)) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, this.k);
+
+    const votes = new Map();
+    let total = 0;
+    neighbours.forEach(n => {
+      const weight = 1 / (n.distance + 0.5);
+      total += weight;
+      n.tags.forEach(tag => votes.set(tag, (votes.get(tag) || 0) + weight));
+    });
+    return [...votes]
+      .map(([tag, weight]) => ({ tag, confidence: Math.round(weight / total * 100) / 100 }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+}
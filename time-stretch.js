@@ -0,0 +1,51 @@
+// WSOLA time-stretching for the Sound Lab's pitch shift. Kept apart from sound-lab.js so it can run in
+// stretch-worker.js: it is a few seconds of arithmetic for a long take.
+import { hannWindow } from './fft.js';
+
+const GRAIN = 2048;            // WSOLA grains, overlapped by 3/4
+const GRAIN_HOP = GRAIN / 4;
+const SEEK = 256;              // how far a grain may move to line up with the one before
+
+// Time-stretch by factor (2 = twice as long) without changing pitch (WSOLA).
+// Each grain is moved up to SEEK samples so its waveform lines up with the natural continuation of the last one.
+export function stretchTime(channels, factor) {
+  const length = channels[0].length;
+  const outLength = Math.max(1, Math.round(length * factor));
+  const window = hannWindow(GRAIN);
+  const mono = channels.length === 1 ? channels[0] : channels[0].map((v, i) => (v + channels[1][i]) / 2);
+  const at = (data, i) => (i >= 0 && i < length ? data[i] : 0);
+  const out = channels.map(() => new Float32Array(outLength + GRAIN));
+  const norm = new Float32Array(outLength + GRAIN);
+  let prev = 0;
+
+  for (let k = 0; k * GRAIN_HOP < outLength; k++) {
+    const ideal = Math.round(k * GRAIN_HOP / factor);
+    let pos = ideal;
+    if (k > 0) {
+      const natural = prev + GRAIN_HOP;
+      let best = -Infinity;
+      for (let d = -SEEK; d <= SEEK; d += 2) {
+        const p = ideal + d;
+        if (p < 0 || p >= length) continue;
+        let corr = 0;
+        for (let i = 0; i < GRAIN - GRAIN_HOP; i += 4) corr += at(mono, p + i) * at(mono, natural + i);
+        if (corr > best) {
+          best = corr;
+          pos = p;
+        }
+      }
+    }
+    const start = k * GRAIN_HOP;
+    channels.forEach((data, c) => {
+      for (let i = 0; i < GRAIN; i++) out[c][start + i] += at(data, pos + i) * window[i];
+    });
+    for (let i = 0; i < GRAIN; i++) norm[start + i] += window[i];
+    prev = pos;
+  }
+
+  return out.map(data => {
+    const result = new Float32Array(outLength);
+    for (let i = 0; i < outLength; i++) result[i] = norm[i] > 1e-3 ? data[i] / norm[i] : 0;
+    return result;
+  });
+}
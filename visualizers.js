@@ -0,0 +1,224 @@
+// Alternative live views for the Listen tab, all fed by the same analyser frame as the spectrogram.
+// Each view draws a whole picture onto the given 2D context every animation frame.
+// frame = { freqDb, timeData, sampleRate, settings } where settings are the spectrogram display settings
+// (colormap, dB range and frequency scale are shared so every view reads the same way).
+import { colormapTable } from './colormaps.js';
+import { positionToHz } from './frequency-scale.js';
+
+export const VISUALIZER_MODES = [
+  { id: 'spectrogram', label: 'Spectrogram', icon: '🌈' },
+  { id: 'oscilloscope', label: 'Wave', icon: '〰️' },
+  { id: 'waterfall', label: 'Waterfall', icon: '⛰️' },
+  { id: 'radial', label: 'Circle', icon: '🌀' },
+  { id: 'chromagram', label: 'Notes', icon: '🎹' }
+];
+
+export const DEFAULT_VISUALIZER_MODE = 'spectrogram';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const level = (db, settings) => Math.max(0, Math.min(1, (db - settings.minDb) / (settings.maxDb - settings.minDb)));
+
+function colorAt(table, value) {
+  const i = Math.round(Math.max(0, Math.min(1, value)) * 255) * 3;
+  return `rgb(${table[i]}, ${table[i + 1]}, ${table[i + 2]})`;
+}
+
+// Loudest dB in each of `count` bands spaced along the display's frequency scale
+function bandLevels(freqDb, sampleRate, scale, count) {
+  const nyquist = sampleRate / 2;
+  const binHz = nyquist / freqDb.length;
+  const out = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const lo = Math.min(freqDb.length - 1, Math.floor(positionToHz(i / count, scale, nyquist) / binHz));
+    const hi = Math.min(freqDb.length, Math.max(lo + 1, Math.ceil(positionToHz((i + 1) / count, scale, nyquist) / binHz)));
+    let db = -Infinity;
+    for (let b = lo; b < hi; b++) if (freqDb[b] > db) db = freqDb[b];
+    out[i] = db;
+  }
+  return out;
+}
+
+function clearBackground(ctx, width, height) {
+  ctx.fillStyle = '#0f0c29';
+  ctx.fillRect(0, 0, width, height);
+}
+
+// Triggered oscilloscope: each frame starts at a rising zero crossing so periodic sounds stand still
+export class Oscilloscope {
+  draw(ctx, width, height, { timeData }) {
+    clearBackground(ctx, width, height);
+    const span = Math.floor(timeData.length / 2);
+    let start = 0;
+    for (let i = 1; i < timeData.length - span; i++) {
+      if (timeData[i - 1] < 0 && timeData[i] >= 0) { start = i; break; }
+    }
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let k = 1; k < 4; k++) {
+      ctx.moveTo(0, Math.round(height * k / 4) + 0.5);
+      ctx.lineTo(width, Math.round(height * k / 4) + 0.5);
+    }
+    ctx.stroke();
+
+    ctx.strokeStyle = '#a3e63e';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    for (let i = 0; i < span; i++) {
+      const x = i / (span - 1) * width;
+      const y = height / 2 - timeData[start + i] * height * 0.45;
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+}
+
+// Stack of recent spectra drawn back to front with a perspective offset
+export class Waterfall {
+  constructor() {
+    this.rows = [];
+    this.depth = 48;
+    this.bands = 128;
+  }
+
+  draw(ctx, width, height, { freqDb, sampleRate, settings }) {
+    this.rows.unshift(bandLevels(freqDb, sampleRate, settings.scale, this.bands));
+    if (this.rows.length > this.depth) this.rows.length = this.depth;
+
+    clearBackground(ctx, width, height);
+    const table = colormapTable(settings.colormap);
+    const shiftX = width * 0.25 / this.depth, shiftY = height * 0.5 / this.depth;
+    const rowWidth = width * 0.75, rowHeight = height * 0.45;
+
+    for (let r = this.rows.length - 1; r >= 0; r--) {
+      const row = this.rows[r];
+      const x0 = r * shiftX, base = height - 4 - r * shiftY;
+      ctx.beginPath();
+      ctx.moveTo(x0, base);
+      for (let i = 0; i < row.length; i++) {
+        ctx.lineTo(x0 + i / (row.length - 1) * rowWidth, base - level(row[i], settings) * rowHeight);
+      }
+      ctx.lineTo(x0 + rowWidth, base);
+      ctx.closePath();
+      ctx.fillStyle = 'rgba(15, 12, 41, 0.9)';
+      ctx.fill();
+      ctx.strokeStyle = colorAt(table, 1 - r / this.depth);
+      ctx.lineWidth = r === 0 ? 2 : 1;
+      ctx.stroke();
+    }
+  }
+}
+
+// Spectrum bent into a circle; the centre pulses with the overall level
+export class RadialSpectrum {
+  constructor() {
+    this.bands = 96;
+  }
+
+  draw(ctx, width, height, { freqDb, timeData, sampleRate, settings }) {
+    clearBackground(ctx, width, height);
+    const table = colormapTable(settings.colormap);
+    const levels = bandLevels(freqDb, sampleRate, settings.scale, this.bands);
+    const cx = width / 2, cy = height / 2;
+    const radius = Math.min(width, height) * 0.18;
+    const maxLength = Math.min(width, height) * 0.3;
+
+    let sumSq = 0;
+    for (let i = 0; i < timeData.length; i++) sumSq += timeData[i] * timeData[i];
+    const rmsDb = 10 * Math.log10(sumSq / timeData.length || 1e-12);
+
+    ctx.fillStyle = colorAt(table, level(rmsDb, settings));
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius * (0.4 + 0.6 * level(rmsDb, settings)), 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.lineCap = 'round';
+    ctx.lineWidth = Math.max(2, (Math.PI * 2 * radius) / this.bands * 0.6);
+    for (let i = 0; i < this.bands; i++) {
+      const v = level(levels[i], settings);
+      const angle = -Math.PI / 2 + i / this.bands * Math.PI * 2;
+      const cos = Math.cos(angle), sin = Math.sin(angle);
+      ctx.strokeStyle = colorAt(table, 0.25 + v * 0.75);
+      ctx.beginPath();
+      ctx.moveTo(cx + cos * radius, cy + sin * radius);
+      ctx.lineTo(cx + cos * (radius + 4 + v * maxLength), cy + sin * (radius + 4 + v * maxLength));
+      ctx.stroke();
+    }
+  }
+}
+
+// Energy per musical pitch class (C to B, all octaves folded together), scrolling like the spectrogram
+export class Chromagram {
+  constructor() {
+    this.history = document.createElement('canvas');
+    this.historyCtx = this.history.getContext('2d');
+    this.binClasses = null;
+    this.binKey = '';
+  }
+
+  _classesFor(binCount, sampleRate) {
+    const key = `${binCount}@${sampleRate}`;
+    if (this.binKey !== key) {
+      const binHz = sampleRate / 2 / binCount;
+      this.binClasses = new Int8Array(binCount).fill(-1);
+      for (let b = 1; b < binCount; b++) {
+        const hz = b * binHz;
+        if (hz < 55 || hz > 5000) continue;             // A1 to about D#8: where pitch is clear
+        const midi = Math.round(69 + 12 * Math.log2(hz / 440));
+        this.binClasses[b] = ((midi % 12) + 12) % 12;
+      }
+      this.binKey = key;
+    }
+    return this.binClasses;
+  }
+
+  draw(ctx, width, height, { freqDb, sampleRate, settings }) {
+    if (this.history.width !== width || this.history.height !== height) {
+      this.history.width = width;
+      this.history.height = height;
+      this.historyCtx.fillStyle = '#0f0c29';
+      this.historyCtx.fillRect(0, 0, width, height);
+    }
+
+    const classes = this._classesFor(freqDb.length, sampleRate);
+    const energy = new Float32Array(12);
+    for (let b = 0; b < freqDb.length; b++) {
+      if (classes[b] >= 0) energy[classes[b]] += Math.pow(10, freqDb[b] / 10);
+    }
+    const max = Math.max(...energy);
+    const loudEnough = 10 * Math.log10(max || 1e-12) > settings.minDb;
+
+    const table = colormapTable(settings.colormap);
+    const labelWidth = 36, plotWidth = width - labelWidth, rowHeight = height / 12;
+    const hctx = this.historyCtx;
+    hctx.drawImage(this.history, labelWidth + 2, 0, plotWidth - 2, height, labelWidth, 0, plotWidth - 2, height);
+    for (let pc = 0; pc < 12; pc++) {
+      hctx.fillStyle = colorAt(table, loudEnough ? energy[pc] / max : 0);
+      hctx.fillRect(width - 2, height - (pc + 1) * rowHeight, 2, Math.ceil(rowHeight));
+    }
+    ctx.drawImage(this.history, 0, 0);
+
+    // Note names, with the strongest pitch class highlighted
+    const strongest = loudEnough ? energy.indexOf(max) : -1;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, labelWidth, height);
+    ctx.font = `${Math.min(14, rowHeight * 0.7)}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    NOTE_NAMES.forEach((name, pc) => {
+      ctx.fillStyle = pc === strongest ? '#facc15' : '#fff';
+      ctx.fillText(name, 6, height - (pc + 0.5) * rowHeight);
+    });
+  }
+}
+
+export function createVisualizer(mode) {
+  switch (mode) {
+    case 'oscilloscope': return new Oscilloscope();
+    case 'waterfall': return new Waterfall();
+    case 'radial': return new RadialSpectrum();
+    case 'chromagram': return new Chromagram();
+    default: return null; // the spectrogram is drawn by LiveSpectrogram
+  }
+}
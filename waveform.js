@@ -0,0 +1,41 @@
+// Min/max waveform overview of a decoded AudioBuffer, one pair per pixel column.
+
+export function computePeaks(buffer, columns) {
+  const min = new Float32Array(columns);
+  const max = new Float32Array(columns);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const perColumn = buffer.length / columns;
+  for (let x = 0; x < columns; x++) {
+    const start = Math.floor(x * perColumn);
+    const end = Math.max(start + 1, Math.min(buffer.length, Math.floor((x + 1) * perColumn)));
+    let lo = 0, hi = 0;
+    channels.forEach(data => {
+      for (let i = start; i < end; i++) {
+        const v = data[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+    });
+    min[x] = lo;
+    max[x] = hi;
+  }
+  return { min, max };
+}
+
+export function drawWaveform(ctx, peaks, width, height, { color = '#a78bfa', background = '#0f0c29' } = {}) {
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+  ctx.beginPath();
+  ctx.moveTo(0, Math.round(height / 2) + 0.5);
+  ctx.lineTo(width, Math.round(height / 2) + 0.5);
+  ctx.stroke();
+
+  ctx.fillStyle = color;
+  const mid = height / 2;
+  for (let x = 0; x < peaks.min.length; x++) {
+    const top = mid - peaks.max[x] * mid;
+    const bottom = mid - peaks.min[x] * mid;
+    ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+  }
+}
@@ -0,0 +1,38 @@
+// Runs heavy sample crunching (noise clean-up, pitch-shift stretching) in a module worker so the page stays
+// responsive. One worker per script, started on first use; each request gets an id so replies can overlap.
+// The worker answers { id, result } or { id, error }. Without Worker support, fallback() runs here instead.
+const workers = new Map(); // script url -> { worker, pending: Map(id -> { resolve, reject }) }
+let requests = 0;
+
+function workerFor(url) {
+  let entry = workers.get(url);
+  if (entry) return entry;
+  const worker = new Worker(url, { type: 'module' });
+  entry = { worker, pending: new Map() };
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data;
+    const request = entry.pending.get(id);
+    entry.pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  };
+  // A worker that fails to load would leave every request waiting
+  worker.onerror = (event) => {
+    entry.pending.forEach(request => request.reject(new Error(event.message || `${url} failed`)));
+    entry.pending.clear();
+    workers.delete(url);
+  };
+  workers.set(url, entry);
+  return entry;
+}
+
+// data is posted with `transfer` handed over rather than cloned, so the caller must not use those buffers again
+export function runWorkerTask(url, data, transfer = [], fallback = null) {
+  if (typeof Worker === 'undefined' && fallback) return Promise.resolve().then(fallback);
+  const { worker, pending } = workerFor(url);
+  const id = ++requests;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, ...data }, transfer);
+  });
+}